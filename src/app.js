@@ -3,8 +3,20 @@
 import { StreamDeckV2 } from './lib/streamdeckv2.js';
 import { AudioManager } from './managers/AudioManager.js';
 import { GeminiClient } from './network/GeminiClient.js';
+import { KeyLayoutManager } from './managers/KeyLayoutManager.js';
+import { PersonaManager } from './managers/PersonaManager.js';
+import { HistoryManager } from './managers/HistoryManager.js';
+import { CostTracker } from './managers/CostTracker.js';
+import { SnippetManager } from './managers/SnippetManager.js';
+import { VideoManager } from './managers/VideoManager.js';
+import { InputManager } from './managers/InputManager.js';
+import { GestureRecognizer } from './input/GestureRecognizer.js';
 import { IconGenerator } from './utils/icon-generator.js';
+import { Transcript } from './utils/transcript.js';
+import { VoiceActivityDetector } from './utils/vad.js';
 import { WaveformVisualizer } from './ui/WaveformVisualizer.js';
+import { KeyAnimator } from './ui/KeyAnimator.js';
+import { KeyTicker } from './ui/KeyTicker.js';
 
 class StreamDeckGeminiApp {
     constructor() {
@@ -12,6 +24,37 @@ class StreamDeckGeminiApp {
         this.audioManager = new AudioManager();
         this.geminiClient = new GeminiClient();
         this.iconGenerator = new IconGenerator();
+        this.keyAnimator = new KeyAnimator(this.iconGenerator, (keyIndex, icon, frame) => this.drawKey(keyIndex, icon, frame), {
+            levels: () => this.audioManager.levels,
+            // Don't queue animation frames faster than the deck takes them
+            ready: () => !this.state.connected || this.deck.pendingWrites === 0
+        });
+        this.ticker = new KeyTicker((keyIndex, canvas) => this.state.connected ? this.deck.fillCanvas(keyIndex, canvas, 'frame') : undefined, {
+            ready: () => this.deck.pendingWrites === 0,
+            done: () => this.restoreTickerKeys()
+        });
+        this.keyLayout = new KeyLayoutManager();
+        this.personas = new PersonaManager();
+        this.history = new HistoryManager();
+        this.costs = new CostTracker();
+        this.snippets = new SnippetManager();
+        this.video = new VideoManager();
+        /** Keyboard, MIDI and gamepad controls bound to keys, for use with or without a deck. */
+        this.inputs = new InputManager();
+        /** Every key press goes through here, so keys can have double taps, long presses and chords. */
+        this.gestures = new GestureRecognizer({
+            gesturesFor: (keyIndex) => this.keyLayout.get(keyIndex),
+            chords: () => this.keyLayout.chords.map(chord => chord.keys)
+        });
+        /** @type {import('./managers/HistoryManager.js').HistorySession|null} The conversation being recorded into history. */
+        this.historySession = null;
+        this.historySaveTimer = null;
+        /** Timed turns of the current session, for history and export. */
+        this.transcript = new Transcript();
+        /** @type {import('./utils/session-recorder.js').SessionRecorder|null} The last finished recording. */
+        this.lastRecording = null;
+        /** @type {Array<{name: string, displayName: string}>} Last successful fetchModels() result. */
+        this.models = [];
         this.visualizer = null;
         
         // App State
@@ -19,19 +62,78 @@ class StreamDeckGeminiApp {
             connected: false,
             geminiConnected: false,
             isPTTActive: false,
-            isToggleActive: false
+            isToggleActive: false,
+            geminiReconnecting: false,
+            geminiConnecting: false,
+            /** Draw live level bars on mic keys. */
+            keyMeter: localStorage.getItem('key_meter') !== 'false',
+            /** The connection failed or dropped for good, rather than being closed by the user. */
+            geminiError: false,
+            editingLayout: false
         };
 
+        /** @type {Map<number, import('./managers/KeyLayoutManager.js').KeyBinding>} What each held key pressed, for its release. */
+        this._heldBindings = new Map();
+
         this.init();
     }
 
     async init() {
+        this.registerTools();
         this.setupUI();
+        this.setupLayoutEditor();
+        this.setupInputs();
+        this.setupGestures();
+        this.setupPersonaEditor();
+        this.setupRecording();
+        this.setupHistory();
+        this.setupTranscriptExport();
+        this.setupTextInput();
+        this.setupVideo();
+        this.setupBudget();
+        this.setupDiagnostics();
+        this.setupTicker();
+        this.updateIcons();
         await this.setupAudio();
         // Auto-connect Stream Deck if possible
         this.tryAutoConnect();
     }
 
+    /**
+     * Local actions the model can trigger by voice.
+     */
+    registerTools() {
+        this.geminiClient.registerTool('set_deck_brightness', {
+            description: 'Set the brightness of the Stream Deck keys.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    percentage: { type: 'INTEGER', description: 'Brightness from 0 to 100.' }
+                },
+                required: ['percentage']
+            }
+        }, async ({ percentage }) => {
+            const value = Math.max(0, Math.min(100, Math.round(percentage)));
+            const brightnessSlider = /** @type {HTMLInputElement} */ (document.getElementById('brightness-slider'));
+            if (brightnessSlider) brightnessSlider.value = String(value);
+            localStorage.setItem('streamdeck_brightness', String(value));
+            if (this.state.connected) {
+                await this.deck.setBrightness(value);
+            }
+            return { brightness: value };
+        });
+
+        this.geminiClient.registerTool('stop_listening', {
+            description: 'Turn off the open microphone when the user is done talking, e.g. "goodbye" or "stop listening".'
+        }, async () => {
+            if (!this.state.isToggleActive) return { listening: false };
+            // Same path as pressing a toggle key
+            this.toggleMic();
+            await this.updateIcons();
+            return { listening: this.state.isToggleActive };
+        });
+    }
+
     async tryAutoConnect() {
         try {
             const connected = await this.deck.connect(false); // false = no picker
@@ -72,10 +174,17 @@ class StreamDeckGeminiApp {
                 speakerSelect.appendChild(option);
             });
             if (savedSpeaker) speakerSelect.value = savedSpeaker;
+            await this.audioManager.setOutputDevice(speakerSelect.value);
 
             // Save on change
             micSelect.addEventListener('change', () => localStorage.setItem('selected_mic', micSelect.value));
-            speakerSelect.addEventListener('change', () => localStorage.setItem('selected_speaker', speakerSelect.value));
+            speakerSelect.addEventListener('change', () => {
+                localStorage.setItem('selected_speaker', speakerSelect.value);
+                // Applies live if a session is running
+                this.audioManager.setOutputDevice(speakerSelect.value);
+            });
+
+            this.setupVAD();
             
         } catch (error) {
             console.error('Error setting up audio devices:', error);
@@ -93,21 +202,50 @@ class StreamDeckGeminiApp {
         // Load saved Voice
         const savedVoice = localStorage.getItem('gemini_voice');
         if (savedVoice) voiceSelect.value = savedVoice;
-        voiceSelect.addEventListener('change', () => localStorage.setItem('gemini_voice', voiceSelect.value));
+        voiceSelect.addEventListener('change', () => {
+            localStorage.setItem('gemini_voice', voiceSelect.value);
+            // Voice keys light up for the selected voice
+            this.updateIcons();
+        });
 
         // Load saved API Key
         const savedKey = localStorage.getItem('gemini_api_key');
         if (savedKey) apiKeyInput.value = savedKey;
         apiKeyInput.addEventListener('change', () => localStorage.setItem('gemini_api_key', apiKeyInput.value));
 
+        // Turn-taking is fixed at session setup, so changing it restarts a running session
+        const exactTurnsInput = /** @type {HTMLInputElement} */ (document.getElementById('exact-turns'));
+        const savedTurns = localStorage.getItem('exact_turns');
+        // Layouts used to mark this per key; keep it on for anyone who had a key marked
+        exactTurnsInput.checked = savedTurns === null ? this.keyLayout.hadManualActivity : savedTurns === 'true';
+        if (savedTurns === null && exactTurnsInput.checked) localStorage.setItem('exact_turns', 'true');
+        exactTurnsInput.addEventListener('change', () => {
+            localStorage.setItem('exact_turns', String(exactTurnsInput.checked));
+            if (this.state.geminiConnected) {
+                this.log(exactTurnsInput.checked
+                    ? 'Switching to exact turn-taking. Restarting session...'
+                    : 'Switching back to automatic turn-taking. Restarting session...');
+                this.restartGemini();
+            }
+        });
+
         // Initialize Visualizer
         const canvas = /** @type {HTMLCanvasElement} */ (document.getElementById('audio-waveform'));
         if (canvas) {
             this.visualizer = new WaveformVisualizer(canvas);
         }
 
-        GeminiClient.fetchModels(apiKeyInput.value).then(models => {
-            console.log('Models:', models);
+        // Load saved Model
+        const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
+        const savedModel = localStorage.getItem('gemini_model');
+        if (savedModel) this.geminiClient.model = savedModel;
+        this.renderModelOptions([]);
+        modelSelect.addEventListener('change', () => {
+            this.geminiClient.model = modelSelect.value;
+            localStorage.setItem('gemini_model', modelSelect.value);
+            this.log(`Model: ${modelSelect.value}`);
+            // The model is fixed for the life of a session
+            if (this.state.geminiConnected) this.restartGemini();
         });
 
         // Load saved Brightness
@@ -124,12 +262,20 @@ class StreamDeckGeminiApp {
             });
         }
 
+        const keyMeterInput = /** @type {HTMLInputElement} */ (document.getElementById('key-meter'));
+        keyMeterInput.checked = this.state.keyMeter;
+        keyMeterInput.addEventListener('change', () => {
+            this.state.keyMeter = keyMeterInput.checked;
+            localStorage.setItem('key_meter', String(keyMeterInput.checked));
+            this.updateIcons();
+        });
+
         connectDeckBtn.addEventListener('click', () => this.toggleStreamDeckConnection());
         connectGeminiBtn.addEventListener('click', () => this.toggleGeminiConnection());
 
         // Listen for Stream Deck events
-        this.deck.addEventListener('keydown', (e) => this.handleButtonPress(/** @type {CustomEvent} */(e).detail.buttonId, true));
-        this.deck.addEventListener('keyup', (e) => this.handleButtonPress(/** @type {CustomEvent} */(e).detail.buttonId, false));
+        this.deck.addEventListener('keydown', (e) => this.gestures.press(/** @type {CustomEvent} */(e).detail.buttonId, true));
+        this.deck.addEventListener('keyup', (e) => this.gestures.press(/** @type {CustomEvent} */(e).detail.buttonId, false));
 
         // Listen for Audio Input (Mic -> Gemini)
         this.audioManager.addEventListener('audioinput', (e) => {
@@ -139,6 +285,17 @@ class StreamDeckGeminiApp {
         });
 
         // Listen for Audio Manager Warnings (e.g. Autoplay blocked)
+        // VAD-gated toggle mode: end the turn as soon as the user stops talking
+        this.audioManager.addEventListener('speechstart', () => {
+            this.beginUserTurn();
+            if (this.visualizer) this.visualizer.setGated(false);
+        });
+
+        this.audioManager.addEventListener('speechend', () => {
+            if (this.visualizer) this.visualizer.setGated(true);
+            this.endUserTurn();
+        });
+
         this.audioManager.addEventListener('warning', (e) => {
             this.log(`System: ${/** @type {CustomEvent} */(e).detail.message}`);
         });
@@ -148,6 +305,16 @@ class StreamDeckGeminiApp {
             this.audioManager.playAudio(/** @type {CustomEvent} */(e).detail);
         });
         
+        // Speaking pulse on the mic and mute keys
+        this.audioManager.addEventListener('playbackstart', () => this.updateIcons());
+        this.audioManager.addEventListener('playbackend', () => this.updateIcons());
+
+        // Barge-in: drop any model audio still scheduled
+        this.geminiClient.addEventListener('interrupted', () => {
+            this.audioManager.stopPlayback();
+            this.endChatTurn();
+        });
+
         this.geminiClient.addEventListener('error', (e) => {
             this.log(`Gemini Error: ${/** @type {CustomEvent} */(e).detail.message || 'Unknown error'}`);
         });
@@ -155,11 +322,36 @@ class StreamDeckGeminiApp {
         this.geminiClient.addEventListener('close', () => {
             this.log('Disconnected from Gemini');
             this.state.geminiConnected = false;
+            this.state.geminiReconnecting = false;
+            this.state.geminiError = !this.geminiClient.intentionalClose;
             const connectGeminiBtn = document.getElementById('connect-gemini');
             if (connectGeminiBtn) {
                 connectGeminiBtn.textContent = 'Connect Gemini';
                 connectGeminiBtn.classList.remove('disconnect-active');
             }
+            this.updateIcons();
+            this.endHistorySession();
+        });
+
+        this.geminiClient.addEventListener('reconnecting', (e) => {
+            const { attempt, delayMs, resuming } = /** @type {CustomEvent} */(e).detail;
+            this.log(`Connection lost. ${resuming ? 'Resuming' : 'Reconnecting'} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt})...`);
+            // Whatever was queued belongs to the dropped socket
+            this.audioManager.stopPlayback();
+            this.state.geminiReconnecting = true;
+            const connectGeminiBtn = document.getElementById('connect-gemini');
+            if (connectGeminiBtn) connectGeminiBtn.textContent = 'Reconnecting... (click to stop)';
+            this.updateIcons();
+        });
+
+        this.geminiClient.addEventListener('reconnected', (e) => {
+            const { resumed } = /** @type {CustomEvent} */(e).detail;
+            this.log(resumed ? 'Reconnected to Gemini (session resumed)' : 'Reconnected to Gemini (new session)');
+            this.state.geminiReconnecting = false;
+            this.state.geminiError = false;
+            const connectGeminiBtn = document.getElementById('connect-gemini');
+            if (connectGeminiBtn) connectGeminiBtn.textContent = 'Disconnect Gemini';
+            this.updateIcons();
         });
 
         this.geminiClient.addEventListener('transcription', (e) => {
@@ -167,8 +359,34 @@ class StreamDeckGeminiApp {
             this.appendChat(role, text);
         });
 
+        this.geminiClient.addEventListener('turncomplete', () => {
+            this.endChatTurn();
+            // The silence until the next reply isn't an underrun
+            this.audioManager.endPlaybackStream();
+        });
+
+        this.geminiClient.addEventListener('toolcall', (e) => {
+            const { name, args } = /** @type {CustomEvent} */(e).detail;
+            this.log(`🔧 ${name}(${JSON.stringify(args)})`);
+        });
+
+        this.geminiClient.addEventListener('toolresult', (e) => {
+            const { name, response } = /** @type {CustomEvent} */(e).detail;
+            this.log(`🔧 ${name} → ${JSON.stringify(response)}`);
+        });
+
+        this.geminiClient.addEventListener('toolcancel', (e) => {
+            this.log(`🔧 ${/** @type {CustomEvent} */(e).detail.name} cancelled`);
+        });
+
         this.geminiClient.addEventListener('usage', (e) => {
-            this.updateTokenStats(/** @type {CustomEvent} */(e).detail);
+            this.costs.add(/** @type {CustomEvent} */(e).detail, this.geminiClient.model);
+            if (this.historySession) {
+                // Payloads are per turn; keep the running totals so history matches the cost panel
+                const { tokens, cost } = this.costs.session;
+                this.historySession.usage = { totalTokenCount: tokens, cost };
+                this.saveHistorySoon();
+            }
         });
 
         this.geminiClient.addEventListener('silence', (e) => {
@@ -179,17 +397,49 @@ class StreamDeckGeminiApp {
 
         // Fetch Models if API Key is available
         const storedKey = localStorage.getItem('gemini_api_key');
-        // if (storedKey) {
-        //     this.loadModels(storedKey);
-        // }
+        if (storedKey) {
+            this.loadModels(storedKey);
+        }
         
         apiKeyInput.addEventListener('change', () => {
             const newKey = apiKeyInput.value;
             localStorage.setItem('gemini_api_key', newKey);
-            // if (newKey) this.loadModels(newKey);
+            if (newKey) this.loadModels(newKey);
         });
     }
 
+    setupVAD() {
+        const enabledInput = /** @type {HTMLInputElement} */ (document.getElementById('vad-enabled'));
+        const thresholdInput = /** @type {HTMLInputElement} */ (document.getElementById('vad-threshold'));
+        const zcrInput = /** @type {HTMLInputElement} */ (document.getElementById('vad-zcr'));
+        const hangoverInput = /** @type {HTMLInputElement} */ (document.getElementById('vad-hangover'));
+
+        const defaults = VoiceActivityDetector.DEFAULTS;
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('vad_settings')) || {};
+        } catch (e) {
+            console.warn('Ignoring invalid VAD settings:', e);
+        }
+        enabledInput.checked = !!saved.enabled;
+        thresholdInput.value = String(saved.threshold ?? defaults.threshold);
+        zcrInput.value = String(saved.maxZeroCrossingRate ?? defaults.maxZeroCrossingRate);
+        hangoverInput.value = String(saved.hangoverMs ?? defaults.hangoverMs);
+
+        const apply = () => {
+            const options = {
+                threshold: Number(thresholdInput.value),
+                maxZeroCrossingRate: Number(zcrInput.value),
+                hangoverMs: Number(hangoverInput.value)
+            };
+            localStorage.setItem('vad_settings', JSON.stringify({ enabled: enabledInput.checked, ...options }));
+            this.audioManager.setVAD(enabledInput.checked, options);
+        };
+
+        [enabledInput, thresholdInput, zcrInput, hangoverInput].forEach(input => input.addEventListener('change', apply));
+        apply();
+    }
+
     async toggleStreamDeckConnection() {
         const connectBtn = document.getElementById('connect-streamdeck');
         
@@ -222,102 +472,143 @@ class StreamDeckGeminiApp {
     }
 
     async toggleGeminiConnection() {
+        if (this.state.geminiConnected) {
+            this.disconnectGemini();
+        } else {
+            await this.connectGemini();
+        }
+    }
+
+    disconnectGemini() {
         const connectBtn = document.getElementById('connect-gemini');
+        this.state.geminiError = false;
+        this.geminiClient.disconnect();
+        connectBtn.classList.remove('disconnect-active');
+        // The 'close' event listener will handle state update and UI text
+    }
+
+    async connectGemini() {
+        const connectBtn = /** @type {HTMLButtonElement} */ (document.getElementById('connect-gemini'));
         const apiKeyInput = /** @type {HTMLInputElement} */ (document.getElementById('api-key'));
         const apiKey = apiKeyInput.value.trim();
 
+        if (!apiKey) {
+            this.log('Please enter a Gemini API Key');
+            return;
+        }
+
+        if (this.costs.level === 'hard') {
+            this.log(`Today's spend is over the $${this.costs.budget.hard} hard limit. Raise the limit to reconnect.`);
+            return;
+        }
+
+        // Initialize Audio (ensuring user gesture if clicked)
+        const micSelect = /** @type {HTMLSelectElement} */ (document.getElementById('mic-select'));
+        try {
+            await this.audioManager.initialize(micSelect.value);
+            if (this.visualizer && this.audioManager.analyser) {
+                this.visualizer.setAnalyser(this.audioManager.analyser);
+            }
+        } catch (err) {
+            this.log(`Audio Init Failed: ${err.message}`);
+            console.error(err);
+            return;
+        }
+
+        const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
+        const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
+        const exactTurnsInput = /** @type {HTMLInputElement} */ (document.getElementById('exact-turns'));
+        const persona = this.personas.active;
+        const config = {
+            model: modelSelect.value || this.geminiClient.model,
+            voiceName: voiceSelect.value,
+            systemInstruction: persona.instruction,
+            temperature: persona.temperature,
+            manualActivity: exactTurnsInput.checked
+        };
+
+        try {
+            connectBtn.textContent = 'Connecting...';
+            connectBtn.disabled = true;
+            this.state.geminiConnecting = true;
+            this.updateIcons();
+
+            await this.geminiClient.connect(apiKey, config);
+            this.state.geminiConnected = true;
+            this.state.geminiError = false;
+            this.startHistorySession(config);
+            this.costs.startSession();
+            this.updateTokenStats();
+            connectBtn.textContent = 'Disconnect Gemini';
+            connectBtn.classList.add('disconnect-active');
+            connectBtn.disabled = false;
+            this.log('Gemini Connected');
+        } catch (e) {
+            this.log('Gemini Connection Failed');
+            console.error(e);
+            this.state.geminiError = true;
+            connectBtn.textContent = 'Connect Gemini';
+            connectBtn.classList.remove('disconnect-active');
+            connectBtn.disabled = false;
+        } finally {
+            this.state.geminiConnecting = false;
+            this.updateIcons();
+        }
+    }
+
+    /**
+     * Drop the current session and start a new one with the current settings.
+     */
+    async restartGemini() {
         if (this.state.geminiConnected) {
-            // Disconnect
-                            this.geminiClient.disconnect();
-                            connectBtn.classList.remove('disconnect-active');
-                            // The 'close' event listener will handle state update and UI text
-                        } else {
-                            // Connect
-                            if (!apiKey) {
-                                this.log('Please enter a Gemini API Key');
-                                return;
-                            }
-
-                            // Initialize Audio (ensuring user gesture if clicked)
-                            const micSelect = /** @type {HTMLSelectElement} */ (document.getElementById('mic-select'));
-                            try {
-                                await this.audioManager.initialize(micSelect.value);
-                                if (this.visualizer && this.audioManager.analyser) {
-                                    this.visualizer.setAnalyser(this.audioManager.analyser);
-                                }
-                            } catch (err) {
-                                this.log(`Audio Init Failed: ${err.message}`);
-                                console.error(err);
-                                return;
-                            }
-            
-                            const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
-                            const config = {
-                                model: this.geminiClient.model,
-                                voiceName: voiceSelect.value,
-                                systemInstruction: "You are a helpful voice assistant."
-                            };
-            
-                            try {
-                                connectBtn.textContent = 'Connecting...';
-                                connectBtn.disabled = true;
-            
-                                await this.geminiClient.connect(apiKey, config);
-                                this.state.geminiConnected = true;
-                                connectBtn.textContent = 'Disconnect Gemini';
-                                connectBtn.classList.add('disconnect-active');
-                                connectBtn.disabled = false;
-                                this.log('Gemini Connected');
-                            } catch (e) {
-                                this.log('Gemini Connection Failed');
-                                console.error(e);
-                                connectBtn.textContent = 'Connect Gemini';
-                                connectBtn.classList.remove('disconnect-active');
-                                connectBtn.disabled = false;
-                            }        }
-    }
-
-    // async loadModels(apiKey) {
-    //     const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
-    //     modelSelect.innerHTML = '<option disabled selected>Loading...</option>';
-        
-    //     const models = await GeminiClient.fetchModels(apiKey);
-        
-    //     modelSelect.innerHTML = ''; // Clear loading
-        
-    //     // Filter for relevant models (Gemini 2.0/Live capable) if possible, 
-    //     // or just show all and let user pick.
-    //     // The user mentioned: "2.0-flash, 2.5-flash , gemini-2.5-flash-native-audio-preview, gemini-live-2.5-flash-preview, etc."
-    //     // I'll show all that contain "gemini" to be safe, or just all.
-    //     // But sorting them might be nice.
-        
-    //     if (models.length === 0) {
-    //          const option = document.createElement('option');
-    //          option.text = "Failed to load models or Invalid Key";
-    //          modelSelect.add(option);
-    //          return;
-    //     }
-
-    //     models.forEach(model => {
-    //         // model.name is like "models/gemini-1.5-flash"
-    //         // model.displayName is "Gemini 1.5 Flash"
-    //         const option = document.createElement('option');
-    //         option.value = model.name;
-    //         option.textContent = model.displayName || model.name.split('/').pop();
-            
-    //         // Auto-select a good default if it matches "gemini-2.0-flash-exp"
-    //         if (model.name.includes('gemini-2.0-flash-exp')) {
-    //             option.selected = true;
-    //         }
-            
-    //         modelSelect.appendChild(option);
-    //     });
-        
-    //     // If nothing selected, select the first one
-    //     if (modelSelect.selectedIndex === -1 && modelSelect.options.length > 0) {
-    //         modelSelect.selectedIndex = 0;
-    //     }
-    // }
+            this.geminiClient.disconnect();
+            this.state.geminiConnected = false;
+        }
+        await this.connectGemini();
+    }
+
+    async loadModels(apiKey) {
+        const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
+        modelSelect.disabled = true;
+
+        const models = await GeminiClient.fetchModels(apiKey);
+        if (models.length === 0) {
+            this.log('Could not load models. Check the API key.');
+        } else {
+            this.models = models;
+        }
+        this.renderModelOptions(this.models);
+        modelSelect.disabled = false;
+    }
+
+    /**
+     * Fill the model picker, keeping the current model selected.
+     * The current model is always listed, even before (or without) a successful fetch.
+     * @param {Array<{name: string, displayName: string}>} models
+     */
+    renderModelOptions(models) {
+        const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
+        const current = this.geminiClient.model;
+
+        // model.name is like "models/gemini-2.0-flash-live-001"
+        const options = models.map(model => ({
+            value: model.name.replace(/^models\//, ''),
+            label: model.displayName || model.name.split('/').pop()
+        }));
+        if (!options.some(option => option.value === current)) {
+            options.unshift({ value: current, label: current });
+        }
+
+        modelSelect.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = value;
+            modelSelect.appendChild(option);
+        });
+        modelSelect.value = current;
+    }
 
     async onStreamDeckConnected() {
         const connectDeckBtn = document.getElementById('connect-streamdeck');
@@ -325,12 +616,16 @@ class StreamDeckGeminiApp {
         connectDeckBtn.classList.add('disconnect-active');
 
         this.state.connected = true;
-        this.updateStatus('Connected & Live', 'live');
+        this.iconGenerator.setProfile(this.deck.profile);
+        this.configureTicker();
+        // New size, and the deck is about to be cleared
+        this.keyAnimator.invalidate();
+        this.updateStatus(`${this.deck.profile.name} Connected & Live`, 'live');
         
-        // Reset and Clear
+        // Reset, then clear and put back the open page's cached images
         try {
             await this.deck.reset();
-            await this.deck.clearAllButtons();
+            await this.deck.showPage(this.keyLayout.page);
         } catch (e) {
             console.warn('Stream Deck Reset/Clear failed:', e);
         }
@@ -352,43 +647,166 @@ class StreamDeckGeminiApp {
         statusText.style.color = `var(--status-${type})`;
     }
 
-    updateTokenStats(usage) {
-        if (!usage) return;
-        
-        // see pricing-deets.md 
-        // Live API (2.5-flash-native-audio-preview-09-2025)
-        const RATES = { 
-            PROMPT: { TEXT: 0.50, AUDIO: 3.00 }, 
-            RESPONSE: { TEXT: 2.00, AUDIO: 12.00 } 
+    setupBudget() {
+        const softInput = /** @type {HTMLInputElement} */ (document.getElementById('budget-soft'));
+        const hardInput = /** @type {HTMLInputElement} */ (document.getElementById('budget-hard'));
+        softInput.value = this.costs.budget.soft === null ? '' : String(this.costs.budget.soft);
+        hardInput.value = this.costs.budget.hard === null ? '' : String(this.costs.budget.hard);
+
+        const save = () => this.costs.setBudget({ soft: softInput.value, hard: hardInput.value });
+        softInput.addEventListener('change', save);
+        hardInput.addEventListener('change', save);
+
+        this.costs.addEventListener('change', () => this.updateTokenStats());
+
+        this.costs.addEventListener('softlimit', () => {
+            this.log(`⚠️ Today's Gemini spend has reached the $${this.costs.budget.soft} soft limit.`);
+            this.updateIcons();
+        });
+
+        // Fires on every usage report past the limit, so only act while there's a session to stop
+        this.costs.addEventListener('hardlimit', () => {
+            if (this.state.geminiConnected || this.geminiClient.isReconnecting) {
+                this.log(`⛔ Today's Gemini spend has reached the $${this.costs.budget.hard} hard limit. Disconnecting.`);
+                this.disconnectGemini();
+            } else {
+                this.log(`⛔ Today's Gemini spend has reached the $${this.costs.budget.hard} hard limit.`);
+            }
+            this.updateIcons();
+        });
+
+        this.updateTokenStats();
+    }
+
+    /**
+     * Optionally scroll the live transcription across a row of keys, for
+     * when the tab is buried under other windows during a call.
+     */
+    setupTicker() {
+        const sourceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('ticker-source'));
+        const rowSelect = /** @type {HTMLSelectElement} */ (document.getElementById('ticker-row'));
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('ticker_settings')) || {};
+        } catch (e) {
+            console.warn('Ignoring invalid ticker settings:', e);
+        }
+        if (saved.source) sourceSelect.value = saved.source;
+        if (saved.row) rowSelect.value = saved.row;
+
+        const apply = () => {
+            localStorage.setItem('ticker_settings', JSON.stringify({ source: sourceSelect.value, row: rowSelect.value }));
+            this.configureTicker();
         };
+        sourceSelect.addEventListener('change', apply);
+        rowSelect.addEventListener('change', apply);
 
-        // Flash API (2.0-flash-exp)
-        // const RATES = { 
-        //     PROMPT: { TEXT: 0.35, AUDIO: 2.10 }, 
-        //     RESPONSE: { TEXT: 1.50, AUDIO: 8.50 } 
-        // };
+        this.geminiClient.addEventListener('transcription', (e) => {
+            const { role, text } = /** @type {CustomEvent} */(e).detail;
+            const source = sourceSelect.value;
+            const shown = source === 'both' ? role === 'model' || role === 'user' : role === source;
+            if (shown && this.state.connected) this.ticker.push(role, text);
+        });
 
-       // Flatten and calculate costs
-        const rows = [
-            ...usage.promptTokensDetails.map(d => ({ ...d, label: 'Input', rate: RATES.PROMPT[d.modality] })),
-            ...usage.responseTokensDetails.map(d => ({ ...d, label: 'Output', rate: RATES.RESPONSE[d.modality] }))
-        ].filter(d => d.tokenCount > 0)
-         .map(d => ({ ...d, cost: (d.tokenCount / 1e6) * d.rate }));
+        this.configureTicker();
+    }
+
+    /**
+     * Point the ticker at the chosen row of the current deck, or at no keys when it's off.
+     */
+    configureTicker() {
+        const source = /** @type {HTMLSelectElement} */ (document.getElementById('ticker-source')).value;
+        const row = /** @type {'top'|'bottom'} */ (/** @type {HTMLSelectElement} */ (document.getElementById('ticker-row')).value);
+        this.ticker.configure(source === 'off' ? [] : KeyTicker.rowKeys(this.deck.profile, row), this.deck.profile);
+    }
+
+    /**
+     * Give the ticker's row back to the key icons.
+     */
+    async restoreTickerKeys() {
+        if (!this.state.connected) return;
+        try {
+            await this.deck.restoreKeys(this.ticker.keys);
+        } catch (e) {
+            console.warn('Restoring ticker keys failed:', e);
+        }
+        // Icons that changed under the ticker were only drawn on the previews
+        this.keyAnimator.invalidate();
+        await this.updateIcons();
+    }
+
+    setupDiagnostics() {
+        const details = /** @type {HTMLDetailsElement} */ (document.getElementById('diagnostics-details'));
+        /** @type {number|undefined} */
+        let refreshTimer;
+
+        this.audioManager.addEventListener('underrun', (e) => {
+            const { underruns, targetDelayMs } = /** @type {CustomEvent} */(e).detail;
+            console.warn(`Playback underrun #${underruns}; buffering ${targetDelayMs}ms`);
+            this.updateDiagnostics();
+        });
+        this.audioManager.addEventListener('overrun', () => {
+            this.log(`⚠️ Dropped model audio: more than ${this.audioManager.jitterBuffer.options.maxBuffered}s was queued.`);
+            this.updateDiagnostics();
+        });
+
+        // Queued audio and deck writes change continuously, so poll while the panel is open
+        details.addEventListener('toggle', () => {
+            clearInterval(refreshTimer);
+            if (details.open) {
+                this.updateDiagnostics();
+                refreshTimer = setInterval(() => this.updateDiagnostics(), 250);
+            }
+        });
+    }
+
+    updateDiagnostics() {
+        const { underruns, overruns, targetDelayMs, bufferedMs } = this.audioManager.playbackStats;
+        document.getElementById('diag-underruns').textContent = String(underruns);
+        document.getElementById('diag-overruns').textContent = String(overruns);
+        document.getElementById('diag-target').textContent = `${targetDelayMs} ms`;
+        document.getElementById('diag-buffered').textContent = `${bufferedMs} ms`;
+
+        const writes = this.deck.writeStats;
+        document.getElementById('diag-hid-depth').textContent = String(writes.depth);
+        document.getElementById('diag-hid-superseded').textContent = String(writes.superseded);
+        document.getElementById('diag-hid-latency').textContent = `${writes.lastLatencyMs} ms (avg ${writes.averageLatencyMs} ms)`;
+    }
+
+    /**
+     * Render cumulative usage for this session, plus today's total against the budget.
+     */
+    updateTokenStats() {
+        // see pricing-deets.md
+        const rows = [...this.costs.sessionRows.values()];
+        const { tokens, cost: totalCost } = this.costs.session;
+        const today = this.costs.today;
+        const { soft, hard } = this.costs.budget;
 
-        const totalCost = rows.reduce((acc, curr) => acc + curr.cost, 0);
-        
         // Formatters
         const num = n => n.toLocaleString('en-US');
-        const money = v => totalCost < 1 
-            ? `${(v * 100).toFixed(2)}¢` 
-            : v.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 4 });
+        const money = v => v < 1
+            ? `${(v * 100).toFixed(2)}¢`
+            : v.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+
+        const limits = [soft !== null && `warn at ${money(soft)}`, hard !== null && `stop at ${money(hard)}`].filter(Boolean);
+        const summary = `
+            <div class="cost-summary budget-${this.costs.level}">
+                Today: ${money(today.cost)} · ${num(today.tokens)} tokens${limits.length ? ` (${limits.join(', ')})` : ''}
+            </div>
+        `;
 
+        if (!rows.length) {
+            document.getElementById('token-stats').innerHTML = summary;
+            return;
+        }
 
           document.getElementById('token-stats').innerHTML = `
             <table>
                 <tbody>
                     <tr>
-                        <th></th>
+                        <th>Session</th>
                         ${rows.map(r => `
                             <td>
                                 <div class="item-cell" style="justify-content: flex-end">
@@ -401,7 +819,7 @@ class StreamDeckGeminiApp {
                     <tr>
                         <th>Tokens</th>
                         ${rows.map(r => `<td>${num(r.tokenCount)}</td>`).join('')}
-                        <td style="font-weight: 700">${num(usage.totalTokenCount)}</td>
+                        <td style="font-weight: 700">${num(tokens)}</td>
                     </tr>
                     <tr>
                         <th>Cost</th>
@@ -410,74 +828,314 @@ class StreamDeckGeminiApp {
                     </tr>
                 </tbody>
             </table>
+            ${summary}
         `;
     }
 
     async handleButtonPress(keyIndex, isDown) {
-        if (!this.state.connected) return;
+        // A release belongs to what the press started, even if the press opened another page
+        const binding = isDown ? this.keyLayout.get(keyIndex) : this._heldBindings.get(keyIndex);
+        if (isDown) {
+            this._heldBindings.set(keyIndex, binding);
+        } else {
+            this._heldBindings.delete(keyIndex);
+        }
+        if (!binding) return;
+
+        const action = KeyLayoutManager.ACTIONS[binding.action];
+        // Non-momentary actions fire on press down
+        if (!isDown && !action.momentary) return;
+
+        await this.runAction(binding, isDown);
+        await this.updateIcons();
+    }
 
-        // Key 0: Push-to-Talk
-        if (keyIndex === 0) {
-            this.state.isPTTActive = isDown;
-            if (isDown) {
-                if (!this.state.geminiConnected) {
-                    this.log('Warning: Gemini not connected. Audio will not be sent.');
+    /**
+     * Run the action bound to a recognized gesture, if any.
+     * @param {import('./managers/KeyLayoutManager.js').KeyBinding|null|undefined} binding
+     */
+    async handleGesture(binding) {
+        if (!binding) return;
+        await this.runAction(binding, true);
+        await this.updateIcons();
+    }
+
+    /**
+     * @param {import('./managers/KeyLayoutManager.js').KeyBinding} binding
+     * @param {boolean} isDown
+     */
+    async runAction(binding, isDown) {
+        switch (binding.action) {
+            case 'ptt':
+                this.setPTT(isDown);
+                break;
+            case 'toggle':
+                this.toggleMic();
+                break;
+            case 'mute':
+                this.audioManager.setPlaybackMuted(!this.audioManager.playbackMuted);
+                this.log(this.audioManager.playbackMuted ? 'Playback muted' : 'Playback unmuted');
+                break;
+            case 'reconnect':
+                await this.restartGemini();
+                break;
+            case 'voice':
+                await this.setVoice(binding.voice);
+                break;
+            case 'folder':
+                this.keyLayout.open(binding.folder);
+                break;
+            case 'back':
+                this.keyLayout.back();
+                break;
+            case 'persona':
+                // The 'select' listener switches settings and restarts the session
+                this.personas.next();
+                break;
+            case 'prompt':
+                this.sendTextTurn(binding.text);
+                break;
+            case 'screen':
+                // The deck can't start a screen share (no user gesture), so once one is running the key pauses it instead
+                if (this.video.source === 'screen') {
+                    this.video.setPaused(!this.video.paused);
+                } else {
+                    await this.toggleVideo('screen');
                 }
-                this.geminiClient.cancelSilence();
-                this.audioManager.startStreaming();
-                if (this.visualizer) this.visualizer.setStreaming(true);
-                // this.log('PTT Active (Listening...)');
-            } else {
-                this.audioManager.stopStreaming();
-                if (this.visualizer) this.visualizer.setStreaming(false);
-                // this.log('PTT Inactive');
-                if (this.state.geminiConnected) {
-                    this.geminiClient.sendSilence();
+                break;
+            case 'snippet': {
+                const snippet = this.snippets.get(binding.snippet);
+                if (!snippet) {
+                    this.log(`Warning: no saved snippet named "${binding.snippet}".`);
+                    break;
                 }
+                this.sendTextTurn(snippet.text);
+                break;
             }
-            await this.updateIcons();
         }
+    }
 
-        // Key 1: Toggle Mic
-        if (keyIndex === 1 && isDown) { // Toggle on press down
-            this.state.isToggleActive = !this.state.isToggleActive;
-            if (this.state.isToggleActive) {
-                if (!this.state.geminiConnected) {
-                    this.log('Warning: Gemini not connected. Audio will not be sent.');
-                }
-                this.geminiClient.cancelSilence();
-                this.audioManager.startStreaming();
-                if (this.visualizer) this.visualizer.setStreaming(true);
-                // this.log('Mic Toggled ON');
-            } else {
-                this.audioManager.stopStreaming();
-                if (this.visualizer) this.visualizer.setStreaming(false);
-                // this.log('Mic Toggled OFF');
-                if (this.state.geminiConnected) {
-                    this.geminiClient.sendSilence();
-                }
+    /**
+     * @param {boolean} isDown
+     */
+    setPTT(isDown) {
+        this.state.isPTTActive = isDown;
+        this.updateVideoActive();
+        if (isDown) {
+            if (!this.state.geminiConnected) {
+                this.log('Warning: Gemini not connected. Audio will not be sent.');
             }
-            await this.updateIcons();
+            this.beginUserTurn();
+            this.audioManager.startStreaming();
+            if (this.visualizer) this.visualizer.setStreaming(true);
+            // this.log('PTT Active (Listening...)');
+        } else {
+            this.audioManager.stopStreaming();
+            if (this.visualizer) this.visualizer.setStreaming(false);
+            // this.log('PTT Inactive');
+            this.endUserTurn();
         }
     }
 
-    async updateIcons() {
-        if (!this.state.connected) return;
+    toggleMic() {
+        this.state.isToggleActive = !this.state.isToggleActive;
+        this.updateVideoActive();
+        if (this.state.isToggleActive) {
+            if (!this.state.geminiConnected) {
+                this.log('Warning: Gemini not connected. Audio will not be sent.');
+            }
+            this.audioManager.startStreaming(true);
+            // With VAD gating, the turn starts when speech does
+            if (!this.audioManager.gateWithVAD) this.beginUserTurn();
+            if (this.visualizer) {
+                this.visualizer.setGated(this.audioManager.gateWithVAD && !this.audioManager.vadSpeech);
+                this.visualizer.setStreaming(true);
+            }
+            // this.log('Mic Toggled ON');
+        } else {
+            this.audioManager.stopStreaming();
+            if (this.visualizer) {
+                this.visualizer.setStreaming(false);
+                this.visualizer.setGated(false);
+            }
+            // this.log('Mic Toggled OFF');
+            this.endUserTurn();
+        }
+    }
+
+    /** Send video frames only while a mic mode is on. */
+    updateVideoActive() {
+        this.video.setActive(this.state.isPTTActive || this.state.isToggleActive);
+    }
 
+    /**
+     * Start capturing from `source`, or stop if it's already the one being captured.
+     * @param {'screen'|'camera'} source
+     */
+    async toggleVideo(source) {
+        if (this.video.source === source) {
+            this.video.stop();
+            return;
+        }
+        try {
+            await this.video.start(source);
+        } catch (err) {
+            this.log(`Video Error: ${err.message}`);
+            // Browsers only allow screen capture from a click in the page, not a deck key
+            if (source === 'screen' && err.name === 'InvalidStateError') {
+                this.log('Start screen sharing from the Share Screen button; the deck key can then pause and resume it.');
+            }
+        }
+    }
+
+    /**
+     * The user started talking. With manual turn-taking that's an explicit
+     * activityStart; otherwise server VAD works it out from the audio.
+     */
+    beginUserTurn() {
+        if (this.geminiClient.manualActivity) {
+            this.geminiClient.startActivity();
+        } else {
+            this.geminiClient.cancelSilence();
+        }
+    }
+
+    /**
+     * The user stopped talking. Manual turn-taking ends the turn immediately;
+     * otherwise trailing silence lets server VAD notice.
+     */
+    endUserTurn() {
+        if (!this.state.geminiConnected) return;
+        if (this.geminiClient.manualActivity) {
+            this.geminiClient.endActivity();
+        } else {
+            this.geminiClient.sendSilence();
+        }
+    }
+
+    /**
+     * Switch to a voice, or to the next one if none is given. The voice is
+     * part of the session setup, so a live session is restarted.
+     * @param {string} [voice]
+     */
+    async setVoice(voice) {
+        const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
+        if (voice === voiceSelect.value) return;
+        if (voice) {
+            if (![...voiceSelect.options].some(option => option.value === voice)) {
+                this.log(`Warning: unknown voice "${voice}".`);
+                return;
+            }
+            voiceSelect.value = voice;
+        } else {
+            voiceSelect.selectedIndex = (voiceSelect.selectedIndex + 1) % voiceSelect.options.length;
+        }
+        localStorage.setItem('gemini_voice', voiceSelect.value);
+        this.log(`Voice: ${voiceSelect.value}`);
+        if (this.state.geminiConnected) {
+            await this.restartGemini();
+        }
+    }
+
+    /**
+     * Whether a bound key should be drawn in its active state.
+     * @param {import('./managers/KeyLayoutManager.js').KeyBinding} binding
+     */
+    isActionActive(binding) {
+        switch (binding.action) {
+            case 'ptt': return this.state.isPTTActive;
+            case 'toggle': return this.state.isToggleActive;
+            case 'mute': return this.audioManager.playbackMuted;
+            case 'screen': return this.video.source === 'screen' && this.video.isSharing;
+            case 'voice': return !!binding.voice && binding.voice === /** @type {HTMLSelectElement} */ (document.getElementById('voice-select')).value;
+            default: return false;
+        }
+    }
+
+    /**
+     * The IconGenerator state a key shows. Connection states win, so every
+     * key reflects a dropped connection, as the spec asks.
+     * @param {import('./managers/KeyLayoutManager.js').KeyBinding} binding
+     */
+    keyState(binding) {
+        if (this.state.geminiReconnecting) return 'reconnecting';
+        if (this.state.geminiConnecting) return 'connecting';
+        if (this.isActionActive(binding)) return 'active';
+        // Mic keys are the ones that need a working, affordable connection
+        if (KeyLayoutManager.ACTIONS[binding.action].mic) {
+            if (this.state.geminiError) return 'error';
+            if (this.costs.level !== 'ok') return 'warning';
+        }
+        return 'idle';
+    }
+
+    async updateIcons() {
         const previewContainer = document.getElementById('key-previews');
-        // Removed: previewContainer.innerHTML = ''; 
+        const numKeys = this.deck.NUM_KEYS;
+        previewContainer.style.gridTemplateColumns = `repeat(${this.deck.profile.columns}, 1fr)`;
+
+        // Another page opened: show what's cached for it straight away, then redraw what changed
+        if (this.state.connected && this.deck.page !== this.keyLayout.page) {
+            this.keyAnimator.invalidate();
+            try {
+                await this.deck.showPage(this.keyLayout.page);
+            } catch (e) {
+                console.warn('Failed to switch deck page:', e);
+            }
+        }
 
-        // Key 0: PTT (Mic)
-        const micState = this.state.isPTTActive ? 'active' : 'idle';
-        const micIcon = await this.iconGenerator.createIcon('mic', micState);
-        await this.deck.fillBuffer(0, micIcon.buffer);
-        this.updateButtonVisuals(previewContainer, 0, micIcon.blob, 'Push To Talk');
+        for (let keyIndex = 0; keyIndex < numKeys; keyIndex++) {
+            const binding = this.keyLayout.get(keyIndex);
+            if (!binding) {
+                this.keyAnimator.delete(keyIndex);
+                if (this.state.connected && !this.ticker.covers(keyIndex)) {
+                    this.deck.fillPageBuffer(this.keyLayout.page, keyIndex, null)
+                        .catch(e => console.warn(`Failed to clear key ${keyIndex + 1}:`, e));
+                }
+                this.updateButtonVisuals(previewContainer, keyIndex, null, '');
+                continue;
+            }
 
-        // Key 1: Toggle (Bubble)
-        const toggleState = this.state.isToggleActive ? 'active' : 'idle';
-        const toggleIcon = await this.iconGenerator.createIcon('bubble', toggleState);
-        await this.deck.fillBuffer(1, toggleIcon.buffer);
-        this.updateButtonVisuals(previewContainer, 1, toggleIcon.blob, 'Toggle Mic');
+            const state = this.keyState(binding);
+            // Flag the keys that open the mic (and so spend money) once the budget warning is hit
+            const overBudget = this.costs.level !== 'ok' && (binding.action === 'ptt' || binding.action === 'toggle');
+            // Pulse the keys that talk over, or silence, the model while it's speaking
+            const speaking = this.audioManager.isPlaying && ['ptt', 'toggle', 'mute'].includes(binding.action);
+            // Level bars on the mic key in use, or on every mic key while the model talks
+            const meter = this.state.keyMeter && KeyLayoutManager.ACTIONS[binding.action].mic
+                && (state === 'active' || this.audioManager.isPlaying);
+            await this.keyAnimator.set(keyIndex, {
+                type: KeyLayoutManager.ACTIONS[binding.action].icon,
+                state,
+                options: { badge: overBudget ? '$' : null, label: KeyLayoutManager.labelFor(binding), speaking, meter }
+            });
+        }
+
+        // Drop previews left over from a bigger deck
+        previewContainer.querySelectorAll('[data-key]').forEach(el => {
+            if (Number(/** @type {HTMLElement} */ (el).dataset.key) >= numKeys) {
+                this.keyAnimator.delete(Number(/** @type {HTMLElement} */ (el).dataset.key));
+                el.remove();
+            }
+        });
+    }
+
+    /**
+     * Push one rendered key image to the deck (if connected, and the ticker
+     * isn't using the key) and the preview. The deck write isn't waited
+     * for; animation frames give way to state changes and newer frames.
+     * @param {number} keyIndex
+     * @param {{buffer: ArrayBuffer|null, blob: Blob}} icon
+     * @param {boolean} [frame] An animation frame rather than a change of state.
+     */
+    async drawKey(keyIndex, icon, frame = false) {
+        const binding = this.keyLayout.get(keyIndex);
+        if (!binding) return;
+        if (this.state.connected && !this.ticker.covers(keyIndex)) {
+            this.deck.fillPageBuffer(this.keyLayout.page, keyIndex, icon.buffer, frame ? 'frame' : 'state')
+                .catch(e => console.warn(`Failed to draw key ${keyIndex + 1}:`, e));
+        }
+        this.updateButtonVisuals(document.getElementById('key-previews'), keyIndex, icon.blob, KeyLayoutManager.labelFor(binding));
     }
 
     updateButtonVisuals(container, keyIndex, blob, label) {
@@ -496,33 +1154,835 @@ class StreamDeckGeminiApp {
             const text = document.createElement('span');
             text.classList.add('key-preview-label');
 
+            const gestures = document.createElement('div');
+            gestures.classList.add('key-preview-gestures');
+
+            const inputs = document.createElement('div');
+            inputs.classList.add('key-preview-inputs');
+
             wrapper.appendChild(img);
             wrapper.appendChild(text);
+            wrapper.appendChild(gestures);
+            wrapper.appendChild(inputs);
             container.appendChild(wrapper);
+            this.renderGestureChips(wrapper, keyIndex);
+            this.renderInputChips(wrapper, keyIndex);
 
             this.attachButtonListeners(wrapper, keyIndex);
+            this.attachDropTarget(wrapper, keyIndex);
         }
 
         const img = wrapper.querySelector('img');
         const text = wrapper.querySelector('span');
-        
-        img.src = URL.createObjectURL(blob);
+
+        if (img.src) URL.revokeObjectURL(img.src);
+        if (blob) {
+            img.src = URL.createObjectURL(blob);
+        } else {
+            img.removeAttribute('src');
+        }
+        wrapper.classList.toggle('empty', !blob);
+        wrapper.draggable = !!blob && this.state.editingLayout;
         text.textContent = label;
     }
 
     attachButtonListeners(element, keyIndex) {
         element.addEventListener('pointerdown', (e) => {
+            // While editing, previews are drag handles, not buttons
+            if (this.state.editingLayout) return;
             e.preventDefault();
-            this.handleButtonPress(keyIndex, true);
+            this.gestures.press(keyIndex, true);
         });
         
         element.addEventListener('pointerup', (e) => {
+            if (this.state.editingLayout) return;
             e.preventDefault();
-            this.handleButtonPress(keyIndex, false);
+            this.gestures.press(keyIndex, false);
         });
         
     }
 
+    /**
+     * Key previews accept actions dragged from the palette, and other keys
+     * (which swaps the two).
+     * @param {HTMLElement} element
+     * @param {number} keyIndex
+     */
+    attachDropTarget(element, keyIndex) {
+        element.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-deck-key', String(keyIndex));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            element.classList.add('drop-target');
+        });
+
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drop-target');
+
+            const fromKey = e.dataTransfer.getData('application/x-deck-key');
+            if (fromKey !== '') {
+                this.keyLayout.swap(Number(fromKey), keyIndex);
+                return;
+            }
+
+            const actionId = e.dataTransfer.getData('application/x-deck-action');
+            if (!actionId) return;
+            const binding = { action: actionId };
+            if (actionId === 'prompt') {
+                const text = window.prompt('Prompt to send when this key is pressed:');
+                if (!text) return;
+                binding.text = text;
+            }
+            if (actionId === 'folder') {
+                const existing = this.keyLayout.pages.filter(Boolean);
+                const name = window.prompt(`Folder to open (${existing.join(', ')}, or a new name):`, existing[0]);
+                if (!name) return;
+                binding.folder = name.trim();
+            }
+            if (actionId === 'snippet') {
+                const names = this.snippets.snippets.map(snippet => snippet.name);
+                if (!names.length) {
+                    this.log('Save a snippet under the chat first.');
+                    return;
+                }
+                const name = window.prompt(`Snippet to send when this key is pressed (${names.join(', ')}):`, names[0]);
+                if (!name) return;
+                if (!this.snippets.get(name.trim())) {
+                    this.log(`Layout Error: No snippet named "${name.trim()}". Saved snippets: ${names.join(', ')}`);
+                    return;
+                }
+                binding.snippet = name.trim();
+            }
+            try {
+                this.bindGesture(keyIndex, binding);
+            } catch (err) {
+                this.log(`Layout Error: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Bind a dropped action to whichever gesture the layout editor is set to.
+     * @param {number} keyIndex
+     * @param {import('./managers/KeyLayoutManager.js').KeyBinding} binding
+     * @throws {Error} If the layout rejects the binding.
+     */
+    bindGesture(keyIndex, binding) {
+        const gesture = /** @type {HTMLSelectElement} */ (document.getElementById('gesture-mode')).value;
+        if (gesture === 'press') {
+            // Keeps the key's double tap and long press
+            this.keyLayout.setPress(keyIndex, binding);
+        } else if (gesture === 'chord') {
+            const others = window.prompt(`Keys to press together with key ${keyIndex + 1} (e.g. 2, 3):`);
+            if (!others) return;
+            const keys = others.split(/[\s,+]+/).filter(Boolean).map(key => Number(key) - 1);
+            this.keyLayout.setChord([keyIndex, ...keys], binding);
+        } else {
+            this.keyLayout.setGesture(keyIndex, /** @type {'doubleTap'|'longPress'} */ (gesture), binding);
+        }
+    }
+
+    /**
+     * Draggable chips for each action, plus layout import/export.
+     * Dropping a key on the palette unbinds it.
+     */
+    setupLayoutEditor() {
+        const editor = /** @type {HTMLDetailsElement} */ (document.getElementById('layout-editor'));
+        const previewContainer = document.getElementById('key-previews');
+        editor.addEventListener('toggle', () => {
+            this.state.editingLayout = editor.open;
+            previewContainer.classList.toggle('editing', editor.open);
+            previewContainer.querySelectorAll('.key-preview-wrapper').forEach(el => {
+                /** @type {HTMLElement} */ (el).draggable = editor.open && !el.classList.contains('empty');
+            });
+        });
+
+        const palette = document.getElementById('action-palette');
+        for (const [actionId, action] of Object.entries(KeyLayoutManager.ACTIONS)) {
+            const chip = document.createElement('span');
+            chip.className = 'action-chip';
+            chip.draggable = true;
+            chip.textContent = action.label;
+            chip.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-deck-action', actionId);
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+            palette.appendChild(chip);
+        }
+
+        palette.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('application/x-deck-key')) e.preventDefault();
+        });
+        palette.addEventListener('drop', (e) => {
+            const fromKey = e.dataTransfer.getData('application/x-deck-key');
+            if (fromKey === '') return;
+            e.preventDefault();
+            this.keyLayout.clear(Number(fromKey));
+        });
+
+        document.getElementById('export-layout').addEventListener('click', () => {
+            const json = JSON.stringify(this.keyLayout.toJSON(), null, 2);
+            this.downloadBlob(new Blob([json], { type: 'application/json' }), 'streamdeck-gemini-layout.json');
+        });
+
+        const importInput = /** @type {HTMLInputElement} */ (document.getElementById('import-layout-file'));
+        document.getElementById('import-layout').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                this.keyLayout.importJSON(await file.text());
+                this.log(`Key layout imported from ${file.name}`);
+            } catch (err) {
+                this.log(`Layout Import Failed: ${err.message}`);
+            }
+            importInput.value = '';
+        });
+
+        document.getElementById('reset-layout').addEventListener('click', () => this.keyLayout.reset());
+
+        // Edit any page without having to open it from the deck
+        const pageSelect = /** @type {HTMLSelectElement} */ (document.getElementById('layout-page'));
+        const renderPages = () => {
+            pageSelect.replaceChildren(...this.keyLayout.pages.map(page => new Option(page || 'Main page', page)));
+            pageSelect.value = this.keyLayout.page;
+        };
+        pageSelect.addEventListener('change', () => this.keyLayout.showPage(pageSelect.value));
+        this.keyLayout.addEventListener('page', () => {
+            renderPages();
+            this.updateIcons();
+        });
+        renderPages();
+
+        this.keyLayout.addEventListener('change', () => {
+            renderPages();
+            this.updateIcons();
+        });
+    }
+
+    /**
+     * Keyboard shortcuts, MIDI and gamepad buttons press keys just like the
+     * deck does. Bindings are learned from the layout editor.
+     */
+    setupInputs() {
+        this.inputs.addEventListener('keydown', (e) => this.gestures.press(/** @type {CustomEvent} */(e).detail.buttonId, true));
+        this.inputs.addEventListener('keyup', (e) => this.gestures.press(/** @type {CustomEvent} */(e).detail.buttonId, false));
+        this.inputs.addEventListener('change', () => this.renderAllInputChips());
+
+        this.inputs.addEventListener('learn', (e) => {
+            const { keyIndex, control, error } = /** @type {CustomEvent} */ (e).detail;
+            if (error) {
+                this.log(`Input Error: ${error}`);
+            } else if (control) {
+                this.log(`${InputManager.describe(control)} now presses key ${keyIndex + 1}`);
+            }
+            this.renderAllInputChips();
+        });
+
+        // Stop listening for a control if the editor closes mid-learn
+        document.getElementById('layout-editor').addEventListener('toggle', () => {
+            if (!this.state.editingLayout) this.inputs.cancelLearning();
+        });
+
+        const midiBtn = /** @type {HTMLButtonElement} */ (document.getElementById('enable-midi'));
+        midiBtn.hidden = !this.inputs.midi.isSupported;
+        midiBtn.addEventListener('click', async () => {
+            try {
+                await this.inputs.enableMidi();
+                midiBtn.disabled = true;
+                midiBtn.textContent = 'MIDI Enabled';
+                this.log('MIDI enabled. Learn a note or pedal on a key to use it.');
+            } catch (err) {
+                this.log(`MIDI Error: ${err.message}`);
+            }
+        });
+
+        this.inputs.start().then(() => {
+            if (this.inputs.midi.access) {
+                midiBtn.disabled = true;
+                midiBtn.textContent = 'MIDI Enabled';
+            }
+        });
+    }
+
+    /**
+     * Route recognized gestures to their actions, and show gesture bindings
+     * on the previews and chords in the layout editor.
+     */
+    setupGestures() {
+        const detail = (e) => /** @type {CustomEvent} */ (e).detail;
+        this.gestures.addEventListener('press', (e) => this.handleButtonPress(detail(e).keyIndex, detail(e).isDown));
+        this.gestures.addEventListener('tap', (e) => this.handleGesture(this.keyLayout.get(detail(e).keyIndex)));
+        this.gestures.addEventListener('doubletap', (e) => this.handleGesture(this.keyLayout.get(detail(e).keyIndex)?.doubleTap));
+        this.gestures.addEventListener('longpress', (e) => this.handleGesture(this.keyLayout.get(detail(e).keyIndex)?.longPress));
+        this.gestures.addEventListener('chord', (e) => this.handleGesture(this.keyLayout.chordFor(detail(e).keys)));
+
+        const longPressInput = /** @type {HTMLInputElement} */ (document.getElementById('long-press-ms'));
+        this.gestures.configure({ longPressMs: Number(localStorage.getItem('long_press_ms')) });
+        longPressInput.value = String(this.gestures.options.longPressMs);
+        longPressInput.addEventListener('change', () => {
+            this.gestures.configure({ longPressMs: Number(longPressInput.value) });
+            longPressInput.value = String(this.gestures.options.longPressMs);
+            localStorage.setItem('long_press_ms', longPressInput.value);
+        });
+
+        const renderAllGestureChips = () => {
+            document.querySelectorAll('#key-previews [data-key]').forEach(wrapper => {
+                this.renderGestureChips(/** @type {HTMLElement} */ (wrapper), Number(/** @type {HTMLElement} */ (wrapper).dataset.key));
+            });
+        };
+        this.keyLayout.addEventListener('page', renderAllGestureChips);
+        this.keyLayout.addEventListener('change', () => {
+            renderAllGestureChips();
+            this.renderChordList();
+        });
+        this.renderChordList();
+    }
+
+    /**
+     * Show a key's double tap and long press actions under its preview.
+     * While editing, clicking one removes it.
+     * @param {HTMLElement} wrapper
+     * @param {number} keyIndex
+     */
+    renderGestureChips(wrapper, keyIndex) {
+        const container = wrapper.querySelector('.key-preview-gestures');
+        container.replaceChildren();
+        const binding = this.keyLayout.get(keyIndex);
+        if (!binding) return;
+
+        for (const [gesture, { label, short }] of Object.entries(KeyLayoutManager.GESTURES)) {
+            if (!binding[gesture]) continue;
+            const chip = document.createElement('button');
+            chip.className = 'input-chip';
+            chip.dataset.source = 'gesture';
+            chip.textContent = `${short} ${KeyLayoutManager.labelFor(binding[gesture])}`;
+            chip.title = `${label}. Click while editing the layout to remove`;
+            chip.addEventListener('click', (e) => {
+                if (!this.state.editingLayout) return;
+                e.stopPropagation();
+                this.keyLayout.setGesture(keyIndex, /** @type {'doubleTap'|'longPress'} */ (gesture), null);
+            });
+            container.appendChild(chip);
+        }
+    }
+
+    renderChordList() {
+        const list = document.getElementById('chord-list');
+        list.replaceChildren();
+        for (const { keys, binding } of this.keyLayout.chords) {
+            const item = document.createElement('li');
+            item.textContent = `Keys ${keys.map(key => key + 1).join(' + ')}: ${KeyLayoutManager.labelFor(binding)} `;
+            const remove = document.createElement('button');
+            remove.className = 'chord-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove chord';
+            remove.addEventListener('click', () => this.keyLayout.clearChord(keys));
+            item.appendChild(remove);
+            list.appendChild(item);
+        }
+    }
+
+    renderAllInputChips() {
+        document.querySelectorAll('#key-previews [data-key]').forEach(wrapper => {
+            this.renderInputChips(/** @type {HTMLElement} */ (wrapper), Number(/** @type {HTMLElement} */ (wrapper).dataset.key));
+        });
+    }
+
+    /**
+     * Show the controls bound to a key under its preview. While editing,
+     * clicking one unbinds it and a "+ input" button learns a new one.
+     * @param {HTMLElement} wrapper
+     * @param {number} keyIndex
+     */
+    renderInputChips(wrapper, keyIndex) {
+        const container = wrapper.querySelector('.key-preview-inputs');
+        container.replaceChildren();
+
+        for (const control of this.inputs.controlsFor(keyIndex)) {
+            const chip = document.createElement('button');
+            chip.className = 'input-chip';
+            chip.dataset.source = InputManager.sourceOf(control);
+            chip.textContent = InputManager.describe(control);
+            chip.title = 'Click while editing the layout to remove';
+            chip.addEventListener('click', (e) => {
+                if (!this.state.editingLayout) return;
+                e.stopPropagation();
+                this.inputs.unbind(control);
+            });
+            container.appendChild(chip);
+        }
+
+        const learning = this.inputs.learningKey === keyIndex;
+        const learnBtn = document.createElement('button');
+        learnBtn.className = 'input-chip learn-input';
+        learnBtn.classList.toggle('learning', learning);
+        learnBtn.textContent = learning ? 'Press a key…' : '+ input';
+        learnBtn.title = learning ? 'Press a key, MIDI pad or gamepad button. Esc cancels.' : 'Bind a keyboard, MIDI or gamepad control';
+        learnBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (learning) {
+                this.inputs.cancelLearning();
+                return;
+            }
+            this.inputs.cancelLearning();
+            this.inputs.learn(keyIndex);
+            this.renderAllInputChips();
+        });
+        container.appendChild(learnBtn);
+    }
+
+    setupRecording() {
+        const recordBtn = document.getElementById('record-toggle');
+        const stereoBtn = /** @type {HTMLButtonElement} */ (document.getElementById('download-stereo'));
+        const separateBtn = /** @type {HTMLButtonElement} */ (document.getElementById('download-separate'));
+        // Downloads work mid-recording too, as a snapshot of what's been captured so far
+        const current = () => this.audioManager.recorder || this.lastRecording;
+        const filename = (suffix) => `gemini-session-${new Date().toISOString().replace(/[:.]/g, '-')}-${suffix}.wav`;
+
+        recordBtn.addEventListener('click', () => {
+            if (this.audioManager.isRecording) {
+                this.lastRecording = this.audioManager.stopRecording();
+                recordBtn.textContent = 'Start Recording';
+                recordBtn.classList.remove('recording');
+                this.log(`Recording stopped (${this.lastRecording.duration.toFixed(1)}s)`);
+            } else {
+                this.audioManager.startRecording();
+                recordBtn.textContent = 'Stop Recording';
+                recordBtn.classList.add('recording');
+                stereoBtn.disabled = false;
+                separateBtn.disabled = false;
+                this.log('Recording started');
+            }
+        });
+
+        stereoBtn.addEventListener('click', () => {
+            this.downloadBlob(current().toStereoWAV(), filename('stereo'));
+        });
+
+        separateBtn.addEventListener('click', () => {
+            const { user, model } = current().toSeparateWAVs();
+            this.downloadBlob(user, filename('user'));
+            this.downloadBlob(model, filename('model'));
+        });
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    setupTranscriptExport() {
+        const stamp = () => new Date(this.transcript.startedAt).toISOString().replace(/[:.]/g, '-');
+
+        // Captions are timed from the recording's start when there is one, so they line up with the WAV
+        const captionOffset = () => {
+            const recording = this.audioManager.recorder || this.lastRecording;
+            return recording ? (this.transcript.origin - recording.startedAt) / 1000 : 0;
+        };
+
+        const formats = {
+            'export-markdown': () => [this.transcript.toMarkdown(), 'text/markdown', 'md'],
+            'export-json': () => [JSON.stringify(this.transcript, null, 2), 'application/json', 'json'],
+            'export-srt': () => [this.transcript.toSRT(captionOffset()), 'application/x-subrip', 'srt'],
+            'export-vtt': () => [this.transcript.toWebVTT(captionOffset()), 'text/vtt', 'vtt'],
+        };
+
+        for (const [id, render] of Object.entries(formats)) {
+            document.getElementById(id).addEventListener('click', () => {
+                if (!this.transcript.turns.length) {
+                    this.log('Nothing to export yet.');
+                    return;
+                }
+                const [text, type, extension] = render();
+                this.downloadBlob(new Blob([text], { type }), `gemini-transcript-${stamp()}.${extension}`);
+            });
+        }
+    }
+
+    /**
+     * Text box under the chat for typed turns, with saved snippets.
+     */
+    setupTextInput() {
+        const form = /** @type {HTMLFormElement} */ (document.getElementById('text-input-form'));
+        const input = /** @type {HTMLInputElement} */ (document.getElementById('text-input'));
+        const snippetSelect = /** @type {HTMLSelectElement} */ (document.getElementById('snippet-select'));
+
+        const render = () => {
+            const selected = snippetSelect.value;
+            snippetSelect.length = 1; // Keep the placeholder
+            this.snippets.snippets.forEach(snippet => {
+                const option = document.createElement('option');
+                option.value = snippet.name;
+                option.textContent = snippet.name;
+                snippetSelect.appendChild(option);
+            });
+            snippetSelect.value = this.snippets.get(selected) ? selected : '';
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.sendTextTurn(input.value)) input.value = '';
+        });
+
+        snippetSelect.addEventListener('change', () => {
+            const snippet = this.snippets.get(snippetSelect.value);
+            if (snippet) input.value = snippet.text;
+            input.focus();
+        });
+
+        document.getElementById('snippet-save').addEventListener('click', () => {
+            const name = window.prompt('Snippet name:', snippetSelect.value);
+            if (!name) return;
+            try {
+                const snippet = this.snippets.save(name, input.value);
+                snippetSelect.value = snippet.name;
+                this.log(`Snippet saved: ${snippet.name}`);
+            } catch (err) {
+                this.log(err.message);
+            }
+        });
+
+        document.getElementById('snippet-delete').addEventListener('click', () => {
+            if (snippetSelect.value) this.snippets.remove(snippetSelect.value);
+        });
+
+        this.snippets.addEventListener('change', render);
+        render();
+    }
+
+    setupVideo() {
+        const screenBtn = document.getElementById('share-screen');
+        const cameraBtn = document.getElementById('share-camera');
+        const fpsInput = /** @type {HTMLInputElement} */ (document.getElementById('video-fps'));
+        const sizeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('video-size'));
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('video_settings')) || {};
+        } catch (e) {
+            console.warn('Ignoring invalid video settings:', e);
+        }
+        this.video.configure(saved);
+        fpsInput.value = String(this.video.options.frameRate);
+        sizeSelect.value = String(this.video.options.maxSize);
+
+        const apply = () => {
+            this.video.configure({ frameRate: Number(fpsInput.value), maxSize: Number(sizeSelect.value) });
+            const { frameRate, maxSize } = this.video.options;
+            localStorage.setItem('video_settings', JSON.stringify({ frameRate, maxSize }));
+        };
+        fpsInput.addEventListener('change', apply);
+        sizeSelect.addEventListener('change', apply);
+
+        screenBtn.addEventListener('click', () => this.toggleVideo('screen'));
+        cameraBtn.addEventListener('click', () => this.toggleVideo('camera'));
+
+        this.video.addEventListener('frame', (e) => {
+            if (this.state.geminiConnected) this.geminiClient.sendVideo(/** @type {CustomEvent} */(e).detail);
+        });
+
+        this.video.addEventListener('change', () => {
+            const { source, paused } = this.video;
+            screenBtn.textContent = source === 'screen' ? 'Stop Sharing' : 'Share Screen';
+            cameraBtn.textContent = source === 'camera' ? 'Stop Camera' : 'Camera';
+            screenBtn.classList.toggle('recording', source === 'screen' && !paused);
+            cameraBtn.classList.toggle('recording', source === 'camera' && !paused);
+            this.log(!source ? 'Video: stopped' : `Video: ${paused ? 'paused' : 'sharing'} ${source}`);
+            this.updateIcons();
+        });
+    }
+
+    /**
+     * Send a typed user turn into the live session, alongside voice.
+     * @param {string} text
+     * @returns {boolean} Whether it was sent.
+     */
+    sendTextTurn(text) {
+        text = text.trim();
+        if (!text) return false;
+        if (!this.state.geminiConnected) {
+            this.log('Warning: Gemini not connected. Message not sent.');
+            return false;
+        }
+        if (!this.geminiClient.send(text)) return false;
+        // Typed turns aren't transcribed by the server, so add them ourselves, apart from any speech before them
+        this.endChatTurn();
+        this.appendChat('user', text);
+        this.endChatTurn();
+        return true;
+    }
+
+    setupHistory() {
+        const details = /** @type {HTMLDetailsElement} */ (document.getElementById('history-details'));
+        const searchInput = /** @type {HTMLInputElement} */ (document.getElementById('history-search'));
+        const viewer = /** @type {HTMLDialogElement} */ (document.getElementById('history-viewer'));
+
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.renderHistory(), 200);
+        });
+
+        // Only query IndexedDB while the panel is visible
+        details.addEventListener('toggle', () => {
+            if (details.open) this.renderHistory();
+        });
+        this.history.addEventListener('change', () => {
+            if (details.open) this.renderHistory();
+        });
+
+        document.getElementById('history-viewer-close').addEventListener('click', () => viewer.close());
+    }
+
+    async renderHistory() {
+        const list = document.getElementById('history-list');
+        const query = /** @type {HTMLInputElement} */ (document.getElementById('history-search')).value;
+
+        let sessions;
+        try {
+            sessions = await this.history.search(query);
+        } catch (err) {
+            this.log(`History Error: ${err.message}`);
+            return;
+        }
+
+        list.innerHTML = '';
+        if (!sessions.length) {
+            const empty = document.createElement('li');
+            empty.className = 'hint';
+            empty.textContent = query ? 'No matching conversations.' : 'No saved conversations yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        for (const session of sessions) {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = `${new Date(session.startedAt).toLocaleString()} · ${session.model.replace('models/', '')}`;
+
+            // Preview the first turn that matched the search, else the opening turn
+            const match = session.turns.find(turn => terms.some(term => turn.text.toLowerCase().includes(term))) || session.turns[0];
+            const preview = document.createElement('div');
+            preview.className = 'history-preview';
+            preview.textContent = match ? match.text.trim().slice(0, 100) : '';
+
+            const actions = document.createElement('div');
+            actions.className = 'button-group';
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn btn-secondary';
+            openBtn.textContent = 'Open';
+            openBtn.addEventListener('click', () => this.openHistorySession(session));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', async () => {
+                if (!confirm('Delete this conversation?')) return;
+                await this.history.delete(session.id);
+            });
+            actions.append(openBtn, deleteBtn);
+
+            item.append(title, preview, actions);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Show a past conversation read-only.
+     * @param {import('./managers/HistoryManager.js').HistorySession} session
+     */
+    openHistorySession(session) {
+        const viewer = /** @type {HTMLDialogElement} */ (document.getElementById('history-viewer'));
+        const log = document.getElementById('history-viewer-log');
+
+        const ended = session.endedAt ? new Date(session.endedAt).toLocaleTimeString() : 'unfinished';
+        document.getElementById('history-viewer-title').textContent =
+            `${new Date(session.startedAt).toLocaleString()} – ${ended}`;
+
+        log.innerHTML = '';
+        const meta = document.createElement('div');
+        meta.className = 'session-start';
+        const tokenCount = session.usage?.totalTokenCount;
+        const tokens = typeof tokenCount === 'number' ? ` · ${tokenCount.toLocaleString('en-US')} tokens` : '';
+        meta.textContent = `${session.model.replace('models/', '')} · ${session.voice}${tokens}`;
+        log.appendChild(meta);
+
+        for (const turn of session.turns) {
+            const row = document.createElement('div');
+            row.className = `chat-row ${turn.role}`;
+            const bubble = document.createElement('div');
+            bubble.className = 'chat-bubble';
+            bubble.textContent = turn.text;
+            row.appendChild(bubble);
+            log.appendChild(row);
+        }
+
+        viewer.showModal();
+    }
+
+    /**
+     * Begin a new transcript and history entry, closing any previous one.
+     * @param {{model: string, voiceName: string}} config
+     */
+    startHistorySession(config) {
+        this.endHistorySession();
+        this.transcript = new Transcript();
+        this.historySession = {
+            id: crypto.randomUUID(),
+            startedAt: this.transcript.startedAt,
+            endedAt: null,
+            model: config.model,
+            voice: config.voiceName,
+            // Shared, so history always has the latest turns
+            turns: this.transcript.turns,
+            usage: null
+        };
+    }
+
+    /** Persist the current conversation shortly, so a reload loses at most a second of it. */
+    saveHistorySoon() {
+        if (this.historySaveTimer) return;
+        this.historySaveTimer = setTimeout(() => {
+            this.historySaveTimer = null;
+            this.saveHistorySession(this.historySession);
+        }, 1000);
+    }
+
+    /**
+     * @param {import('./managers/HistoryManager.js').HistorySession|null} session
+     */
+    async saveHistorySession(session) {
+        // Connecting and disconnecting without saying anything isn't worth keeping
+        if (!session || !session.turns.length) return;
+        try {
+            await this.history.save(session);
+        } catch (err) {
+            console.error('Failed to save history:', err);
+            this.log(`History Error: ${err.message}`);
+        }
+    }
+
+    endHistorySession() {
+        const session = this.historySession;
+        if (!session) return;
+        this.historySession = null;
+        clearTimeout(this.historySaveTimer);
+        this.historySaveTimer = null;
+        session.endedAt = Date.now();
+        this.saveHistorySession(session);
+    }
+
+    setupPersonaEditor() {
+        const personaSelect = /** @type {HTMLSelectElement} */ (document.getElementById('persona-select'));
+        const nameInput = /** @type {HTMLInputElement} */ (document.getElementById('persona-name'));
+        const instructionInput = /** @type {HTMLTextAreaElement} */ (document.getElementById('system-instruction'));
+        const temperatureInput = /** @type {HTMLInputElement} */ (document.getElementById('persona-temperature'));
+        const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
+        const modelSelect = /** @type {HTMLSelectElement} */ (document.getElementById('model-select'));
+
+        const render = () => {
+            const active = this.personas.active;
+            personaSelect.innerHTML = '';
+            this.personas.personas.forEach(persona => {
+                const option = document.createElement('option');
+                option.value = persona.id;
+                option.textContent = persona.name;
+                personaSelect.appendChild(option);
+            });
+            personaSelect.value = active.id;
+            nameInput.value = active.name;
+            instructionInput.value = active.instruction;
+            temperatureInput.value = active.temperature === null ? '' : String(active.temperature);
+        };
+
+        // The form, plus the current voice and model, make up a persona
+        const readForm = () => ({
+            name: nameInput.value,
+            instruction: instructionInput.value,
+            temperature: temperatureInput.value,
+            voice: voiceSelect.value,
+            model: modelSelect.value
+        });
+
+        personaSelect.addEventListener('change', () => this.personas.select(personaSelect.value));
+
+        document.getElementById('persona-save').addEventListener('click', () => {
+            this.personas.update(/** @type {any} */ ({ ...readForm(), id: this.personas.active.id }));
+            this.log(`Persona saved: ${this.personas.active.name}`);
+            if (this.state.geminiConnected) this.log('Reconnect to use the new instruction.');
+        });
+
+        document.getElementById('persona-new').addEventListener('click', () => {
+            this.personas.create(/** @type {any} */ ({ ...readForm(), name: `${nameInput.value || 'Persona'} copy` }));
+        });
+
+        document.getElementById('persona-delete').addEventListener('click', () => {
+            try {
+                this.personas.remove(this.personas.active.id);
+            } catch (err) {
+                this.log(err.message);
+            }
+        });
+
+        this.personas.addEventListener('change', render);
+        this.personas.addEventListener('select', () => {
+            render();
+            this.applyPersona(this.personas.active);
+        });
+
+        render();
+    }
+
+    /**
+     * Switch voice and model to the persona's and start a new session with it.
+     * @param {import('./managers/PersonaManager.js').Persona} persona
+     */
+    async applyPersona(persona) {
+        const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
+        if ([...voiceSelect.options].some(option => option.value === persona.voice)) {
+            voiceSelect.value = persona.voice;
+            localStorage.setItem('gemini_voice', persona.voice);
+        }
+        if (persona.model) {
+            this.geminiClient.model = persona.model;
+            localStorage.setItem('gemini_model', persona.model);
+            this.renderModelOptions(this.models);
+        }
+
+        this.log(`Persona: ${persona.name}`);
+        await this.updateIcons();
+        if (this.state.geminiConnected) {
+            await this.restartGemini();
+        }
+    }
+
+    /**
+     * The next chat fragment starts a new bubble and transcript turn, even from the same speaker.
+     */
+    endChatTurn() {
+        const lastRow = /** @type {HTMLElement|null} */ (document.getElementById('transcript-log').lastElementChild);
+        if (lastRow) delete lastRow.dataset.role;
+        this._lastPlaintextRole = null;
+        this.transcript.endTurn();
+    }
+
     appendChat(role, text) {
         const transcript = document.getElementById('transcript-log');
         const plaintextLog = document.getElementById('plaintext-log');
@@ -577,6 +2037,12 @@ class StreamDeckGeminiApp {
         
         transcript.scrollTop = transcript.scrollHeight;
 
+        // --- Structured Transcript ---
+        if (['user', 'model'].includes(role)) {
+            this.transcript.append(role, text);
+            if (this.historySession) this.saveHistorySoon();
+        }
+
         // --- Plaintext Transcript ---
         // Only for user/model/model_thought
         if (['user', 'model'].includes(role)) {
@@ -0,0 +1,69 @@
+/**
+ * Gamepad API buttons, which includes many USB foot pedals. The API has no
+ * button events, so connected pads are polled. Buttons are matched by
+ * number on any pad.
+ */
+export class GamepadInput {
+    /** Poll interval; short enough that push-to-talk doesn't clip the first word. */
+    static POLL_MS = 30;
+
+    /**
+     * @param {import('./KeyboardInput.js').ControlHandler} handler
+     * @param {() => Array<Gamepad|null>} [getGamepads] Injectable for tests.
+     */
+    constructor(handler, getGamepads = () => navigator.getGamepads?.() || []) {
+        this.handler = handler;
+        this.getGamepads = getGamepads;
+        /** @type {Set<string>} Controls currently down across all pads. */
+        this.down = new Set();
+        this.timer = null;
+        this.onConnected = () => this.startPolling();
+    }
+
+    start() {
+        window.addEventListener('gamepadconnected', this.onConnected);
+        // Pads connected before the page loaded only announce themselves on the first press
+        if (this.getGamepads().some(Boolean)) this.startPolling();
+    }
+
+    stop() {
+        window.removeEventListener('gamepadconnected', this.onConnected);
+        clearInterval(this.timer);
+        this.timer = null;
+        this.down.clear();
+    }
+
+    startPolling() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), GamepadInput.POLL_MS);
+    }
+
+    poll() {
+        const pads = this.getGamepads().filter(Boolean);
+        if (!pads.length) {
+            // All pads gone: release what they held and wait for a reconnect
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const pressed = new Set();
+        for (const pad of pads) {
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed) pressed.add(`gamepad:button:${index}`);
+            });
+        }
+
+        for (const control of pressed) {
+            if (!this.down.has(control)) {
+                this.down.add(control);
+                this.handler(control, true);
+            }
+        }
+        for (const control of [...this.down]) {
+            if (!pressed.has(control)) {
+                this.down.delete(control);
+                this.handler(control, false);
+            }
+        }
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * @typedef {object} GestureOptions
+ * @property {number} longPressMs Hold at least this long for a long press.
+ * @property {number} doubleTapMs Max gap between the release and the second press of a double tap.
+ * @property {number} chordMs Max spread between the presses of a chord.
+ */
+
+/**
+ * @typedef {object} KeyGestures Which extra gestures a key has; only truthiness is checked.
+ * @property {any} [doubleTap]
+ * @property {any} [longPress]
+ */
+
+/**
+ * Turns raw key edges into gestures. Sits between the input sources (deck,
+ * previews, keyboard...) and the app, so one key can do several things.
+ *
+ * Keys without gestures pass straight through as 'press' (detail: {keyIndex,
+ * isDown}) with no delay, which momentary actions like push-to-talk need.
+ * Keys that have gestures fire 'tap', 'doubletap' or 'longpress' (detail:
+ * {keyIndex}) once the gesture is known: a tap waits out the double-tap
+ * window only if the key has a double tap. Keys that are part of a chord are
+ * held back for `chordMs` to see if the rest of the chord follows, then fire
+ * 'chord' (detail: {keys}) or carry on as a normal press.
+ */
+export class GestureRecognizer extends EventTarget {
+    /** @type {GestureOptions} */
+    static DEFAULTS = {
+        longPressMs: 500,
+        doubleTapMs: 250,
+        chordMs: 80,
+    };
+
+    /**
+     * @param {object} [sources]
+     * @param {(keyIndex: number) => KeyGestures|null} [sources.gesturesFor]
+     * @param {() => number[][]} [sources.chords] Key sets that form chords.
+     */
+    constructor({ gesturesFor = () => null, chords = () => [] } = {}) {
+        super();
+        this.gesturesFor = gesturesFor;
+        this.chords = chords;
+        /** @type {GestureOptions} */
+        this.options = { ...GestureRecognizer.DEFAULTS };
+        /**
+         * Per-key state. `phase` is what the current press is doing:
+         * 'chord' (waiting for the rest of a chord), 'direct' (passed through),
+         * 'held' (may become a long press) or 'consumed' (already fired).
+         * @type {Map<number, {down: boolean, phase: string|null, timer: any, tapTimer: any}>}
+         */
+        this.keys = new Map();
+    }
+
+    /**
+     * @param {Partial<GestureOptions>} options Non-finite values are ignored.
+     */
+    configure(options) {
+        for (const [key, value] of Object.entries(options || {})) {
+            if (key in this.options && Number.isFinite(value) && value > 0) this.options[key] = value;
+        }
+    }
+
+    /**
+     * Feed a raw key edge from any source.
+     * @param {number} keyIndex
+     * @param {boolean} isDown
+     */
+    press(keyIndex, isDown) {
+        const key = this.stateFor(keyIndex);
+        if (key.down === isDown) return;
+        key.down = isDown;
+
+        if (isDown) {
+            if (this.chords().some(chord => chord.includes(keyIndex))) {
+                key.phase = 'chord';
+                key.timer = setTimeout(() => {
+                    key.timer = null;
+                    if (key.phase === 'chord') this.begin(keyIndex);
+                }, this.options.chordMs);
+                this.matchChord();
+            } else {
+                this.begin(keyIndex);
+            }
+            return;
+        }
+
+        if (key.phase === 'chord') {
+            // Tapped inside the chord window: play the whole press now
+            clearTimeout(key.timer);
+            key.timer = null;
+            this.begin(keyIndex);
+        }
+        this.end(keyIndex);
+    }
+
+    /**
+     * @param {number} keyIndex
+     */
+    stateFor(keyIndex) {
+        let key = this.keys.get(keyIndex);
+        if (!key) {
+            key = { down: false, phase: null, timer: null, tapTimer: null };
+            this.keys.set(keyIndex, key);
+        }
+        return key;
+    }
+
+    /**
+     * The key is now logically pressed.
+     * @param {number} keyIndex
+     */
+    begin(keyIndex) {
+        const key = this.stateFor(keyIndex);
+        const gestures = this.gesturesFor(keyIndex) || {};
+
+        if (key.tapTimer) {
+            clearTimeout(key.tapTimer);
+            key.tapTimer = null;
+            key.phase = 'consumed';
+            this.emit('doubletap', { keyIndex });
+            return;
+        }
+        if (!gestures.longPress && !gestures.doubleTap) {
+            key.phase = 'direct';
+            this.emit('press', { keyIndex, isDown: true });
+            return;
+        }
+
+        key.phase = 'held';
+        if (gestures.longPress) {
+            key.timer = setTimeout(() => {
+                key.timer = null;
+                key.phase = 'consumed';
+                this.emit('longpress', { keyIndex });
+            }, this.options.longPressMs);
+        }
+    }
+
+    /**
+     * The key is now logically released.
+     * @param {number} keyIndex
+     */
+    end(keyIndex) {
+        const key = this.stateFor(keyIndex);
+        const phase = key.phase;
+        key.phase = null;
+
+        if (phase === 'direct') {
+            this.emit('press', { keyIndex, isDown: false });
+        } else if (phase === 'held') {
+            clearTimeout(key.timer);
+            key.timer = null;
+            if (this.gesturesFor(keyIndex)?.doubleTap) {
+                key.tapTimer = setTimeout(() => {
+                    key.tapTimer = null;
+                    this.emit('tap', { keyIndex });
+                }, this.options.doubleTapMs);
+            } else {
+                this.emit('tap', { keyIndex });
+            }
+        }
+    }
+
+    /**
+     * Fire the first chord whose keys are all waiting in the chord window.
+     */
+    matchChord() {
+        const chord = this.chords().find(keys => keys.every(keyIndex => this.keys.get(keyIndex)?.phase === 'chord'));
+        if (!chord) return;
+        for (const keyIndex of chord) {
+            const key = this.stateFor(keyIndex);
+            clearTimeout(key.timer);
+            key.timer = null;
+            key.phase = 'consumed';
+        }
+        this.emit('chord', { keys: chord });
+    }
+
+    /**
+     * @param {string} type
+     * @param {object} detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
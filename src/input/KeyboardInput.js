@@ -0,0 +1,91 @@
+/**
+ * @callback ControlHandler
+ * @param {string} control Source-prefixed control id, e.g. 'keyboard:Ctrl+KeyK'.
+ * @param {boolean} isDown
+ * @returns {boolean} Whether the control was used, so the source can swallow the native event.
+ */
+
+/**
+ * Page-wide keyboard shortcuts. A shortcut is its modifiers plus the
+ * physical key (KeyboardEvent.code), so layouts don't change it.
+ * Ignored while typing in a form field.
+ */
+export class KeyboardInput {
+    static MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    /**
+     * @param {ControlHandler} handler
+     * @param {EventTarget} [target]
+     */
+    constructor(handler, target = window) {
+        this.handler = handler;
+        this.target = target;
+        /** @type {Map<string, string>} Held key code -> the control it pressed, so release matches even if modifiers changed. */
+        this.held = new Map();
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.releaseAll = this.releaseAll.bind(this);
+    }
+
+    start() {
+        this.target.addEventListener('keydown', this.onKeyDown);
+        this.target.addEventListener('keyup', this.onKeyUp);
+        // Keyup never arrives if focus leaves mid-press; don't leave push-to-talk stuck open
+        this.target.addEventListener('blur', this.releaseAll);
+    }
+
+    stop() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.target.removeEventListener('blur', this.releaseAll);
+        this.releaseAll();
+    }
+
+    /**
+     * Control id for a key event, or null for a lone modifier.
+     * @param {KeyboardEvent} e
+     */
+    static controlFor(e) {
+        if (/^(Control|Shift|Alt|Meta)(Left|Right)?$/.test(e.code)) return null;
+        const modifiers = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'].filter(Boolean);
+        return `keyboard:${[...modifiers, e.code].join('+')}`;
+    }
+
+    /**
+     * @param {EventTarget} target
+     */
+    static isEditable(target) {
+        const element = /** @type {HTMLElement} */ (target);
+        return !!element?.tagName && (/^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName) || element.isContentEditable);
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        if (e.repeat || KeyboardInput.isEditable(e.target)) return;
+        const control = KeyboardInput.controlFor(e);
+        if (!control) return;
+        if (this.handler(control, true)) {
+            e.preventDefault();
+            this.held.set(e.code, control);
+        }
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    onKeyUp(e) {
+        const control = this.held.get(e.code);
+        if (!control) return;
+        this.held.delete(e.code);
+        e.preventDefault();
+        this.handler(control, false);
+    }
+
+    releaseAll() {
+        const controls = [...this.held.values()];
+        this.held.clear();
+        controls.forEach(control => this.handler(control, false));
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Web MIDI controllers. Notes press on note-on and release on note-off;
+ * control changes (e.g. a sustain pedal) press at 64 and above.
+ * Channels are ignored, so a pad works whatever channel it's set to.
+ */
+export class MidiInput {
+    /**
+     * @param {import('./KeyboardInput.js').ControlHandler} handler
+     */
+    constructor(handler) {
+        this.handler = handler;
+        /** @type {MIDIAccess|null} */
+        this.access = null;
+        /** @type {Set<string>} Controls currently down, so repeated CC values don't retrigger. */
+        this.down = new Set();
+        this.onMessage = this.onMessage.bind(this);
+    }
+
+    get isSupported() {
+        return 'requestMIDIAccess' in navigator;
+    }
+
+    /**
+     * Ask for MIDI access (the browser may prompt) and listen to every input, including ones plugged in later.
+     * @throws {Error} If MIDI is unsupported or refused.
+     */
+    async start() {
+        if (!this.isSupported) throw new Error('Web MIDI is not supported in this browser');
+        this.access = await navigator.requestMIDIAccess();
+        this.access.addEventListener('statechange', () => this.listen());
+        this.listen();
+    }
+
+    stop() {
+        this.access?.inputs.forEach(input => input.removeEventListener('midimessage', this.onMessage));
+        this.access = null;
+        this.down.clear();
+    }
+
+    listen() {
+        this.access?.inputs.forEach(input => {
+            // Adding the same listener twice is a no-op
+            input.addEventListener('midimessage', this.onMessage);
+        });
+    }
+
+    /**
+     * Decode a MIDI message into a control edge.
+     * @param {Uint8Array|number[]} data
+     * @returns {{control: string, isDown: boolean}|null} null for messages that aren't notes or CCs.
+     */
+    static parse(data) {
+        const [status, number, value] = data;
+        switch (status & 0xf0) {
+            case 0x90:
+                return { control: `midi:note:${number}`, isDown: value > 0 };
+            case 0x80:
+                return { control: `midi:note:${number}`, isDown: false };
+            case 0xb0:
+                return { control: `midi:cc:${number}`, isDown: value >= 64 };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {Event} e
+     */
+    onMessage(e) {
+        const parsed = MidiInput.parse(/** @type {MIDIMessageEvent} */ (e).data);
+        if (!parsed || parsed.isDown === this.down.has(parsed.control)) return;
+        if (parsed.isDown) {
+            this.down.add(parsed.control);
+        } else {
+            this.down.delete(parsed.control);
+        }
+        this.handler(parsed.control, parsed.isDown);
+    }
+}
@@ -19,15 +19,308 @@
 'use strict';
 
 /**
- * A generalized library for interacting with the Stream Deck V2.
- * Combines logic from the original StreamDeck and StreamDeckV2 classes.
+ * Hardware details for one Stream Deck model.
+ *
+ * @typedef {Object} DeviceProfile
+ * @property {string} model Short model id.
+ * @property {string} name Human readable model name.
+ * @property {number} numKeys Keys that take an image (or, for the Pedal, pedals).
+ * @property {number} touchKeys Extra non-image keys reported after the image keys (Neo).
+ * @property {number} encoders Rotary encoders (Plus). Their input reports are skipped.
+ * @property {number} columns Key columns.
+ * @property {number} rows Key rows.
+ * @property {number} iconSize Key image size in px, 0 if the device has no display.
+ * @property {?string} imageFormat 'jpeg', 'bmp' or null when there is no display.
+ * @property {number} imageRotation Clockwise rotation (degrees) applied before encoding.
+ * @property {boolean} horizontalFlip Mirror horizontally before encoding.
+ * @property {number} bmpPpm Pixels-per-metre written in the BMP header.
+ * @property {string} packetLayout Image report layout: 'gen1', 'original' or 'gen2'.
+ * @property {string} protocol Feature report dialect: 'gen1' or 'gen2'.
+ * @property {number} keyOffset Byte where key states start in the input report data.
+ * @property {string} keyDirection 'ltr', or 'rtl' when the hardware numbers keys right to left.
+ */
+
+/** @type {DeviceProfile} */
+const ORIGINAL_V2 = {
+  model: 'originalv2',
+  name: 'Stream Deck V2',
+  numKeys: 15,
+  touchKeys: 0,
+  encoders: 0,
+  columns: 5,
+  rows: 3,
+  iconSize: 72,
+  imageFormat: 'jpeg',
+  imageRotation: 180,
+  horizontalFlip: false,
+  bmpPpm: 0,
+  packetLayout: 'gen2',
+  protocol: 'gen2',
+  keyOffset: 3,
+  keyDirection: 'ltr',
+};
+
+/** @type {DeviceProfile} */
+const MINI = {
+  ...ORIGINAL_V2,
+  model: 'mini',
+  name: 'Stream Deck Mini',
+  numKeys: 6,
+  columns: 3,
+  rows: 2,
+  iconSize: 80,
+  imageFormat: 'bmp',
+  imageRotation: 270,
+  bmpPpm: 2835,
+  packetLayout: 'gen1',
+  protocol: 'gen1',
+  keyOffset: 0,
+};
+
+/** @type {DeviceProfile} */
+const XL = {
+  ...ORIGINAL_V2,
+  model: 'xl',
+  name: 'Stream Deck XL',
+  numKeys: 32,
+  columns: 8,
+  rows: 4,
+  iconSize: 96,
+};
+
+/**
+ * Known models, keyed by USB product ID.
+ * Values follow https://github.com/Julusian/node-elgato-stream-deck.
+ *
+ * @type {Object<number, DeviceProfile>}
+ */
+const DEVICE_PROFILES = {
+  0x0060: {
+    ...ORIGINAL_V2,
+    model: 'original',
+    name: 'Stream Deck (Original)',
+    imageFormat: 'bmp',
+    imageRotation: 0,
+    horizontalFlip: true,
+    bmpPpm: 3780,
+    packetLayout: 'original',
+    protocol: 'gen1',
+    keyOffset: 0,
+    keyDirection: 'rtl',
+  },
+  0x0063: MINI,
+  0x0090: {...MINI, model: 'miniv2', name: 'Stream Deck Mini V2'},
+  0x006c: XL,
+  0x008f: {...XL, model: 'xlv2', name: 'Stream Deck XL V2'},
+  0x006d: ORIGINAL_V2,
+  0x0080: {...ORIGINAL_V2, model: 'original-mk2', name: 'Stream Deck MK.2'},
+  0x00a5: {...ORIGINAL_V2, model: 'original-mk2-scissor', name: 'Stream Deck MK.2 (Scissor)'},
+  0x0084: {
+    ...ORIGINAL_V2,
+    model: 'plus',
+    name: 'Stream Deck +',
+    numKeys: 8,
+    encoders: 4,
+    columns: 4,
+    rows: 2,
+    iconSize: 120,
+    imageRotation: 0,
+  },
+  0x009a: {
+    ...ORIGINAL_V2,
+    model: 'neo',
+    name: 'Stream Deck Neo',
+    numKeys: 8,
+    touchKeys: 2,
+    columns: 4,
+    rows: 2,
+    iconSize: 96,
+  },
+  0x0086: {
+    ...ORIGINAL_V2,
+    model: 'pedal',
+    name: 'Stream Deck Pedal',
+    numKeys: 3,
+    columns: 3,
+    rows: 1,
+    iconSize: 0,
+    imageFormat: null,
+    imageRotation: 0,
+  },
+};
+
+/**
+ * Queue depth and timing of key image writes.
+ *
+ * @typedef {Object} WriteStats
+ * @property {number} depth Images waiting, including the one being written.
+ * @property {number} written Images written so far.
+ * @property {number} superseded Images replaced by a newer one for the same key before being written.
+ * @property {number} lastLatencyMs Time from queueing to written, for the last image.
+ * @property {number} averageLatencyMs Recent average of that.
+ */
+
+/**
+ * Orders image writes to a device that takes one report at a time.
+ *
+ * Only the newest waiting image per key is kept: queueing a key that's
+ * already waiting replaces its packets in place, and both promises resolve
+ * when the replacement is written. 'state' writes (something changed) go
+ * ahead of 'frame' writes (animation), so a key press isn't stuck behind
+ * frames. Each promise resolves once the packets are written, or rejects
+ * with the device's error.
+ */
+export class WriteScheduler {
+  /** Weight of the newest write in the average latency. */
+  static LATENCY_SMOOTHING = 0.2;
+
+  /** @type {function(*): Promise<*>} */
+  #sendPacket;
+
+  /**
+   * Waiting writes by key, in the order they were first queued.
+   *
+   * @type {Map<*, {packets: !Array<*>, priority: string,
+   *     queuedAt: number, waiters: !Array<{resolve: Function, reject: Function}>}>}
+   */
+  #pending = new Map();
+  #isRunning = false;
+  #written = 0;
+  #superseded = 0;
+  #lastLatencyMs = 0;
+  #averageLatencyMs = 0;
+
+  /**
+   * @param {function(*): Promise<*>} sendPacket Writes one report.
+   */
+  constructor(sendPacket) {
+    this.#sendPacket = sendPacket;
+  }
+
+  /**
+   * Images waiting, including the one being written.
+   *
+   * @return {number}
+   */
+  get depth() {
+    return this.#pending.size + (this.#isRunning ? 1 : 0);
+  }
+
+  /**
+   * @return {WriteStats}
+   */
+  get stats() {
+    return {
+      depth: this.depth,
+      written: this.#written,
+      superseded: this.#superseded,
+      lastLatencyMs: Math.round(this.#lastLatencyMs),
+      averageLatencyMs: Math.round(this.#averageLatencyMs),
+    };
+  }
+
+  /**
+   * Queue an image's packets.
+   *
+   * @param {*} key Writes with the same key replace each other while waiting.
+   * @param {!Array<*>} packets Sent in order with sendPacket.
+   * @param {string} [priority] 'state' (default), or 'frame' to wait behind state writes.
+   * @return {!Promise<void>} Resolves once written (possibly as a newer image).
+   */
+  enqueue(key, packets, priority = 'state') {
+    return new Promise((resolve, reject) => {
+      const waiting = this.#pending.get(key);
+      if (waiting) {
+        this.#superseded++;
+        waiting.packets = packets;
+        // A state change that was waiting still counts as one
+        if (priority === 'state') {
+          waiting.priority = priority;
+        }
+        waiting.waiters.push({resolve, reject});
+      } else {
+        this.#pending.set(key, {
+          packets,
+          priority,
+          queuedAt: performance.now(),
+          waiters: [{resolve, reject}],
+        });
+      }
+      this.#run();
+    });
+  }
+
+  /**
+   * Drop every waiting write, rejecting its promise.
+   *
+   * @param {Error} error
+   */
+  clear(error) {
+    const pending = [...this.#pending.values()];
+    this.#pending.clear();
+    pending.forEach((write) => write.waiters.forEach(({reject}) => reject(error)));
+  }
+
+  /**
+   * The next write: the oldest state write, else the oldest frame.
+   *
+   * @return {*} Its key, or undefined if nothing is waiting.
+   */
+  #nextKey() {
+    let first;
+    for (const [key, write] of this.#pending) {
+      if (write.priority === 'state') {
+        return key;
+      }
+      if (first === undefined) {
+        first = key;
+      }
+    }
+    return first;
+  }
+
+  async #run() {
+    if (this.#isRunning) {
+      return;
+    }
+    this.#isRunning = true;
+    let key = this.#nextKey();
+    while (key !== undefined) {
+      const write = this.#pending.get(key);
+      this.#pending.delete(key);
+      try {
+        for (const packet of write.packets) {
+          await this.#sendPacket(packet);
+        }
+        const latency = performance.now() - write.queuedAt;
+        this.#lastLatencyMs = latency;
+        this.#averageLatencyMs = this.#written ?
+          this.#averageLatencyMs + (latency - this.#averageLatencyMs) * WriteScheduler.LATENCY_SMOOTHING :
+          latency;
+        this.#written++;
+        write.waiters.forEach(({resolve}) => resolve());
+      } catch (e) {
+        write.waiters.forEach(({reject}) => reject(e));
+      }
+      key = this.#nextKey();
+    }
+    this.#isRunning = false;
+  }
+}
+
+/**
+ * A generalized library for interacting with the Stream Deck family.
+ * Combines logic from the original StreamDeck and StreamDeckV2 classes; the
+ * connected model's DeviceProfile drives key count, image format and packets.
  */
 export class StreamDeckV2 {
 
   // StreamDeckV2 Constants
   static PRODUCT_ID = 0x006d;
   static VENDOR_ID = 0x0fd9;
+  static PROFILES = DEVICE_PROFILES;
 
+  // Populated from the device profile on connect. Defaults to the V2.
   OFFSET = 4;
   ID_OFFSET = 0;
   NUM_KEYS = 15;
@@ -36,28 +329,29 @@ export class StreamDeckV2 {
   IMAGE_ROTATION = 180;
   HRZFLIP = 0;
 
-  #PACKET_SIZE = 1024;
-  #PACKET_HEADER_LENGTH = 8;
-  #MAX_PAYLOAD_LENGTH = this.#PACKET_SIZE - this.#PACKET_HEADER_LENGTH;
+  /** @type {DeviceProfile} */
+  #profile = ORIGINAL_V2;
 
   // StreamDeck Base State
   #device;
   #keyState;
   #isSupported = false;
 
-  #commandQueue = [];
-  #isQueueRunning = false;
+  #writes = new WriteScheduler((packet) => {
+    this.#readyOrThrow();
+    return this.#device.sendReport(packet[0], new Uint8Array(packet.slice(1)));
+  });
 
   #imageCache = {};
+  #page = '';
 
   // Event Handlers
   #handlers = [];
 
   /** @type {Sequence<HIDDeviceFilter>} */
-  #deviceFilters = [
-    {vendorId: StreamDeckV2.VENDOR_ID, productId: StreamDeckV2.PRODUCT_ID}, // V2
-    {vendorId: StreamDeckV2.VENDOR_ID, productId: 0x00a5}, // MK2_SCISSOR
-  ];
+  #deviceFilters = Object.keys(DEVICE_PROFILES).map((productId) => {
+    return {vendorId: StreamDeckV2.VENDOR_ID, productId: Number(productId)};
+  });
 
   /**
    * Constructor
@@ -104,6 +398,34 @@ export class StreamDeckV2 {
     return this.#isSupported;
   }
 
+  /**
+   * Looks up the profile for a product ID.
+   *
+   * @param {number} productId USB product ID.
+   * @return {?DeviceProfile} Profile, or null for an unknown model.
+   */
+  static getProfile(productId) {
+    return DEVICE_PROFILES[productId] ?? null;
+  }
+
+  /**
+   * Profile of the connected model (the V2 until a device connects).
+   *
+   * @return {DeviceProfile}
+   */
+  get profile() {
+    return this.#profile;
+  }
+
+  /**
+   * Reports whether the connected model has key displays (the Pedal doesn't).
+   *
+   * @return {boolean}
+   */
+  get hasDisplay() {
+    return this.#profile.iconSize > 0;
+  }
+
   /**
    * Reports whether the StreamDeck is connected & open.
    *
@@ -113,6 +435,25 @@ export class StreamDeckV2 {
     return this.#device?.opened ? true : false;
   }
 
+  /**
+   * Number of images waiting to be written, including the one being sent.
+   * Lets animations skip frames instead of queueing more than the device can take.
+   *
+   * @return {number}
+   */
+  get pendingWrites() {
+    return this.#writes.depth;
+  }
+
+  /**
+   * Queue depth and write latency, for diagnostics.
+   *
+   * @return {WriteStats}
+   */
+  get writeStats() {
+    return this.#writes.stats;
+  }
+
   /**
    * Connect to a StreamDeck device.
    *
@@ -129,10 +470,13 @@ export class StreamDeckV2 {
     if (!this.#device) {
       return false;
     }
-    
-    if (this.#device.productId !== StreamDeckV2.PRODUCT_ID) {
-       console.warn('Device found but ID mismatch (expected V2)', this.#device.productId);
+
+    let profile = StreamDeckV2.getProfile(this.#device.productId);
+    if (!profile) {
+      console.warn('Unknown Stream Deck model, treating it as a V2', this.#device.productId);
+      profile = ORIGINAL_V2;
     }
+    this.#applyProfile(profile);
 
     if (this.#device.opened) {
       return true;
@@ -147,7 +491,7 @@ export class StreamDeckV2 {
     }
 
     // Initialize the KeyState object
-    this.#keyState = new Array(this.NUM_KEYS).fill(false);
+    this.#keyState = new Array(this.NUM_KEYS + this.#profile.touchKeys).fill(false);
 
     // Add event listener for key presses.
     this.#device.addEventListener('inputreport', (event) => {
@@ -159,6 +503,41 @@ export class StreamDeckV2 {
     return true;
   }
 
+  /**
+   * Switch geometry, image format and packet layout to the given model.
+   *
+   * @param {DeviceProfile} profile
+   */
+  #applyProfile(profile) {
+    if (profile !== this.#profile) {
+      // Cached buffers are encoded for the previous model
+      this.clearImageCache();
+    }
+    this.#profile = profile;
+    this.OFFSET = profile.keyOffset + 1;
+    this.NUM_KEYS = profile.numKeys;
+    this.ICON_SIZE = profile.iconSize;
+    this.ICON_SIZE_HALF = profile.iconSize / 2;
+    this.IMAGE_ROTATION = profile.imageRotation;
+    this.HRZFLIP = profile.horizontalFlip ? 1 : 0;
+  }
+
+  /**
+   * Maps between logical key indices (left to right, top to bottom) and the
+   * hardware's numbering. The mapping is its own inverse.
+   *
+   * @param {number} keyIndex
+   * @return {number}
+   */
+  #transformKeyIndex(keyIndex) {
+    if (this.#profile.keyDirection !== 'rtl' || keyIndex >= this.NUM_KEYS) {
+      return keyIndex;
+    }
+    const columns = this.#profile.columns;
+    const column = keyIndex % columns;
+    return keyIndex - column + (columns - 1 - column);
+  }
+
   /**
    * Disconnect from a StreamDeck device.
    *
@@ -169,6 +548,9 @@ export class StreamDeckV2 {
       return;
     }
 
+    const err = new Error('Disconnected.');
+    err.name = 'StreamDeck';
+    this.#writes.clear(err);
     await this.#device.close();
     this.#device = null;
   }
@@ -227,10 +609,15 @@ export class StreamDeckV2 {
    */
   #onButtonPushed(buffer) {
     const keys = new Int8Array(buffer);
+    // The Plus shares the report with encoders and the touch strip; byte 0 is the input type
+    if (this.#profile.encoders && keys[0] !== 0x00) {
+      return;
+    }
     const start = this.OFFSET - 1;
-    const end = this.NUM_KEYS + this.OFFSET - 1;
+    const end = this.NUM_KEYS + this.#profile.touchKeys + this.OFFSET - 1;
     const data = Array.from(keys).slice(start, end);
-    data.forEach((item, keyIndex) => {
+    data.forEach((item, rawIndex) => {
+      const keyIndex = this.#transformKeyIndex(rawIndex);
       const keyPressed = item === 1;
       const stateChanged = keyPressed !== this.#keyState[keyIndex];
       if (!stateChanged) {
@@ -267,8 +654,17 @@ export class StreamDeckV2 {
    */
   async setBrightness(percentage) {
     this.#readyOrThrow();
+    if (!this.hasDisplay) {
+      return;
+    }
     // Clamp percentage between 0 and 100
     const value = Math.max(0, Math.min(100, percentage));
+    if (this.#profile.protocol === 'gen1') {
+      const data = new Uint8Array(16);
+      data.set([0x55, 0xaa, 0xd1, 0x01, value]);
+      await this.#device.sendFeatureReport(0x05, data);
+      return;
+    }
     const data = new Uint8Array([0x08, value]);
     await this.#device.sendFeatureReport(0x03, data);
   }
@@ -290,8 +686,12 @@ export class StreamDeckV2 {
    */
   async getSerialNumber() {
     this.#readyOrThrow();
-    const dv = await this.#device.receiveFeatureReport(6, 32);
     const decoder = new TextDecoder('utf-8');
+    if (this.#profile.protocol === 'gen1') {
+      const dv = await this.#device.receiveFeatureReport(3, 17);
+      return decoder.decode(dv.buffer.slice(5, 17));
+    }
+    const dv = await this.#device.receiveFeatureReport(6, 32);
     return decoder.decode(dv.buffer.slice(2));
   }
 
@@ -302,8 +702,12 @@ export class StreamDeckV2 {
    */
   async getFirmwareVersion() {
     this.#readyOrThrow();
-    const dv = await this.#device.receiveFeatureReport(5, 32);
     const decoder = new TextDecoder('utf-8');
+    if (this.#profile.protocol === 'gen1') {
+      const dv = await this.#device.receiveFeatureReport(4, 17);
+      return decoder.decode(dv.buffer.slice(5)).replace(/\0.*$/s, '');
+    }
+    const dv = await this.#device.receiveFeatureReport(5, 32);
     return decoder.decode(dv.buffer.slice(6));
   }
 
@@ -314,6 +718,12 @@ export class StreamDeckV2 {
    */
   async reset() {
     if (!this.#device?.opened) return; // Don't throw if just resetting on close
+    if (!this.hasDisplay) return;
+    if (this.#profile.protocol === 'gen1') {
+      const data = new Uint8Array(16);
+      data[0] = 0x63;
+      return this.#device.sendFeatureReport(0x0b, data);
+    }
     const data = new Uint8Array([0x02]);
     return this.#device.sendFeatureReport(0x03, data);
   }
@@ -333,6 +743,9 @@ export class StreamDeckV2 {
    */
   async clearAllButtons() {
     this.#readyOrThrow();
+    if (!this.hasDisplay) {
+      return [];
+    }
     const results = [];
     for (let i = 0; i < this.NUM_KEYS; i++) {
       results.push(this.fillColor(i, '#000000', true));
@@ -347,6 +760,116 @@ export class StreamDeckV2 {
     this.#imageCache = {};
   }
 
+  /**
+   * The page whose images are showing. Pages are just names; what's on them
+   * is up to the caller.
+   *
+   * @return {string}
+   */
+  get page() {
+    return this.#page;
+  }
+
+  /**
+   * Switch pages: clear every key, then redraw the page's cached images.
+   *
+   * @param {string} page
+   */
+  async showPage(page) {
+    this.#readyOrThrow();
+    this.#page = page;
+    await this.clearAllButtons();
+    const results = [];
+    for (let i = 0; i < this.NUM_KEYS; i++) {
+      const buffer = this.#imageCache[StreamDeckV2.#pageCacheKey(page, i)];
+      if (buffer) {
+        results.push(this.fillBuffer(i, buffer));
+      }
+    }
+    return Promise.all(results);
+  }
+
+  /**
+   * Cache a key image for a page, and draw it if that page is showing and
+   * the key doesn't already show it. Pass null to clear the key.
+   *
+   * @param {string} page
+   * @param {number} buttonId Key index.
+   * @param {?ArrayBuffer} buffer Image buffer.
+   * @param {string} [priority] 'state' (default), or 'frame' for animation.
+   */
+  async fillPageBuffer(page, buttonId, buffer, priority) {
+    this.#readyOrThrow();
+    const cacheKey = StreamDeckV2.#pageCacheKey(page, buttonId);
+    const cached = this.#imageCache[cacheKey];
+    if (!buffer) {
+      delete this.#imageCache[cacheKey];
+      if (cached && page === this.#page) {
+        return this.clearButton(buttonId);
+      }
+      return;
+    }
+    this.#imageCache[cacheKey] = buffer;
+    // The showing page's keys always match the cache, so an equal image is already there
+    if (page !== this.#page || (cached && StreamDeckV2.#sameBuffer(cached, buffer))) {
+      return;
+    }
+    try {
+      return await this.fillBuffer(buttonId, buffer, priority);
+    } catch (e) {
+      // The key may not show the image, so the next fill mustn't be skipped as a repeat
+      if (this.#imageCache[cacheKey] === buffer) {
+        delete this.#imageCache[cacheKey];
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Put the showing page's cached images back on some keys, e.g. after
+   * something else was drawn over them. Keys without one are cleared.
+   *
+   * @param {number[]} buttonIds Key indices.
+   */
+  async restoreKeys(buttonIds) {
+    this.#readyOrThrow();
+    return Promise.all(buttonIds.map((buttonId) => {
+      const buffer = this.#imageCache[StreamDeckV2.#pageCacheKey(this.#page, buttonId)];
+      return buffer ? this.fillBuffer(buttonId, buffer) : this.clearButton(buttonId);
+    }));
+  }
+
+  /**
+   * @param {string} page
+   * @param {number} buttonId
+   * @return {string}
+   */
+  static #pageCacheKey(page, buttonId) {
+    return `page:${page}:${buttonId}`;
+  }
+
+  /**
+   * @param {ArrayBuffer} a
+   * @param {ArrayBuffer} b
+   * @return {boolean}
+   */
+  static #sameBuffer(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (a.byteLength !== b.byteLength) {
+      return false;
+    }
+    const x = new Uint8Array(a);
+    const y = new Uint8Array(b);
+    for (let i = 0; i < x.length; i++) {
+      if (x[i] !== y[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * Fill the button at buttonId with the image at the specified URL.
    *
@@ -356,6 +879,9 @@ export class StreamDeckV2 {
    */
   async fillURL(buttonId, url, cache) {
     this.#readyOrThrow();
+    if (!this.hasDisplay) {
+      return;
+    }
     if (cache && this.#imageCache[url]) {
       return this.#sendBuffer(buttonId, this.#imageCache[url]);
     }
@@ -376,6 +902,9 @@ export class StreamDeckV2 {
    */
   async fillColor(buttonId, color, cache) {
     this.#readyOrThrow();
+    if (!this.hasDisplay) {
+      return;
+    }
     if (cache && this.#imageCache[color]) {
       return this.#sendBuffer(buttonId, this.#imageCache[color]);
     }
@@ -396,12 +925,17 @@ export class StreamDeckV2 {
    * Fill the button at buttonId with the image in the canvas.
    *
    * @param {number} buttonId Key index.
-   * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas (72x72px) element to use.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas (ICON_SIZE square, already
+   *     oriented with orientCanvas) element to use.
+   * @param {string} [priority] 'state' (default), or 'frame' for animation.
    */
-  async fillCanvas(buttonId, canvas) {
+  async fillCanvas(buttonId, canvas, priority) {
     this.#readyOrThrow();
+    if (!this.hasDisplay) {
+      return;
+    }
     const buffer = await this.getImageBufferFromCanvas(canvas);
-    return this.#sendBuffer(buttonId, buffer);
+    return this.#sendBuffer(buttonId, buffer, priority);
   }
 
   /**
@@ -409,10 +943,14 @@ export class StreamDeckV2 {
    *
    * @param {number} buttonId Key index.
    * @param {ArrayBuffer} buffer Image buffer.
+   * @param {string} [priority] 'state' (default), or 'frame' for animation.
    */
-  async fillBuffer(buttonId, buffer) {
+  async fillBuffer(buttonId, buffer, priority) {
     this.#readyOrThrow();
-    return this.#sendBuffer(buttonId, buffer);
+    if (!this.hasDisplay || !buffer) {
+      return;
+    }
+    return this.#sendBuffer(buttonId, buffer, priority);
   }
 
   /**
@@ -423,24 +961,34 @@ export class StreamDeckV2 {
    */
   async #getImageBufferFromURL(url) {
     const img = await this.#loadImageFromURL(url);
-    const imgWidth = img.width;
-    const imgHeight = img.height;
-    const canvas = new OffscreenCanvas(
-        this.ICON_SIZE, this.ICON_SIZE);
+    const canvas = StreamDeckV2.orientCanvas(img, this.#profile);
+    return this.getImageBufferFromCanvas(canvas);
+  }
+
+  /**
+   * Draws an upright image scaled to the model's key size, rotated/flipped
+   * the way the model expects.
+   *
+   * @param {CanvasImageSource} source Upright image, any size.
+   * @param {DeviceProfile} profile
+   * @return {OffscreenCanvas}
+   */
+  static orientCanvas(source, profile) {
+    const size = profile.iconSize;
+    const half = size / 2;
+    const canvas = new OffscreenCanvas(size, size);
     const ctx = canvas.getContext('2d');
-    ctx.translate(
-        this.ICON_SIZE_HALF, this.ICON_SIZE_HALF);
-    if (this.HRZFLIP) {
+    ctx.translate(half, half);
+    if (profile.horizontalFlip) {
       ctx.scale(-1, 1); // horizontal flip
     }
-    ctx.rotate(this.IMAGE_ROTATION * Math.PI / 180);
-    ctx.translate(
-        this.ICON_SIZE_HALF * -1,
-        this.ICON_SIZE_HALF * -1);
-    ctx.drawImage(img,
-        0, 0, imgWidth, imgHeight,
-        0, 0, this.ICON_SIZE, this.ICON_SIZE);
-    return this.getImageBufferFromCanvas(canvas);
+    ctx.rotate(profile.imageRotation * Math.PI / 180);
+    ctx.translate(half * -1, half * -1);
+    const {width, height} = /** @type {{width: number, height: number}} */ (source);
+    ctx.drawImage(source,
+        0, 0, width, height,
+        0, 0, size, size);
+    return canvas;
   }
 
   /**
@@ -466,11 +1014,25 @@ export class StreamDeckV2 {
   /**
    * Generate an image buffer from the supplied canvas.
    *
-   * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas element to use, should be 72px x 72px
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas element to use, should be ICON_SIZE square
    * @return {Promise<ArrayBuffer>}
    */
   async getImageBufferFromCanvas(canvas) {
-    // V2 uses JPEG
+    return StreamDeckV2.encodeImage(canvas, this.#profile);
+  }
+
+  /**
+   * Encode a canvas in the model's key image format.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas Already oriented, iconSize square.
+   * @param {DeviceProfile} profile
+   * @return {Promise<ArrayBuffer>}
+   */
+  static async encodeImage(canvas, profile) {
+    if (profile.imageFormat === 'bmp') {
+      return StreamDeckV2.#encodeBMP(canvas, profile.bmpPpm);
+    }
+    // V2 and later use JPEG
     let blob;
     if (canvas.convertToBlob) {
       blob = await canvas.convertToBlob({type: 'image/jpeg', quality: 1.0});
@@ -484,14 +1046,59 @@ export class StreamDeckV2 {
   }
 
   /**
-   * Draws an image on the specified button.
+   * 24-bit BGR BMP as used by the Original and Mini. Rows are written in
+   * canvas order; the orientation transform accounts for the device's scan.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {number} ppm Resolution written in the header.
+   * @return {ArrayBuffer}
+   */
+  static #encodeBMP(canvas, ppm) {
+    const {width, height} = canvas;
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const headerLength = 54;
+    const imageBytes = width * height * 3;
+    const buffer = new ArrayBuffer(headerLength + imageBytes);
+    const view = new DataView(buffer);
+
+    // Bitmap file header
+    view.setUint8(0, 0x42); // B
+    view.setUint8(1, 0x4d); // M
+    view.setUint32(2, headerLength + imageBytes, true);
+    view.setUint32(10, headerLength, true);
+    // DIB header (BITMAPINFOHEADER)
+    view.setUint32(14, 40, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true);
+    view.setUint16(26, 1, true); // Color planes
+    view.setUint16(28, 24, true); // Bit depth
+    view.setUint32(34, imageBytes, true);
+    view.setInt32(38, ppm, true);
+    view.setInt32(42, ppm, true);
+
+    const bytes = new Uint8Array(buffer, headerLength);
+    for (let src = 0, dst = 0; src < pixels.length; src += 4, dst += 3) {
+      bytes[dst] = pixels[src + 2];
+      bytes[dst + 1] = pixels[src + 1];
+      bytes[dst + 2] = pixels[src];
+    }
+    return buffer;
+  }
+
+  /**
+   * Draws an image on the specified button. A newer image for the same
+   * button replaces this one if it's still waiting.
    *
    * @param {number} buttonId Button ID to draw the image on
    * @param {ArrayBuffer} buffer Image buffer, generated by getImageBufferFromX
+   * @param {string} [priority] 'state' (default), or 'frame' for animation.
+   * @return {!Promise<void>} Resolves once the image is written.
    */
-  #sendBuffer(buttonId, buffer) {
+  #sendBuffer(buttonId, buffer, priority = 'state') {
+    this.#readyOrThrow();
     const packets = this.getPacketsFromBuffer(buttonId, buffer);
-    this.#addPacketsToSendQueue(packets);
+    return this.#writes.enqueue(buttonId, packets, priority);
   }
 
   /**
@@ -502,30 +1109,58 @@ export class StreamDeckV2 {
    * @return {!array}
    */
   getPacketsFromBuffer(buttonId, buffer) {
+    const keyIndex = this.#transformKeyIndex(buttonId);
+    switch (this.#profile.packetLayout) {
+      case 'original':
+        return this.#getOriginalPackets(keyIndex, buffer);
+      case 'gen1':
+        return this.#splitIntoPackets(buffer, 1024, 16, (view, page, isLastPacket) => {
+          view.setUint8(0, 0x02); // report ID
+          view.setUint8(1, 0x01); // set the icon
+          view.setUint16(2, page, true);
+          view.setUint8(4, isLastPacket ? 1 : 0);
+          view.setUint8(5, keyIndex + 1); // 1-based
+        });
+      default:
+        return this.#splitIntoPackets(buffer, 1024, 8, (view, page, isLastPacket, byteCount) => {
+          view.setUint8(0, 0x02); // report ID
+          view.setUint8(1, 0x07); // always 7 - set the icon
+          view.setUint8(2, keyIndex); // button
+          view.setUint8(3, isLastPacket ? 1 : 0); // is last packet
+          view.setUint16(4, byteCount, true);
+          view.setUint16(6, page, true);
+        });
+    }
+  }
+
+  /**
+   * Splits an image into fixed-size reports, each starting with a header.
+   *
+   * @param {ArrayBuffer} buffer Image buffer.
+   * @param {number} packetSize Report size, including the report ID.
+   * @param {number} headerLength
+   * @param {function(DataView, number, boolean, number): void} writeHeader
+   *     Called with (header view, page, isLastPacket, payload byte count).
+   * @return {!array}
+   */
+  #splitIntoPackets(buffer, packetSize, headerLength, writeHeader) {
     const packets = [];
+    const maxPayloadLength = packetSize - headerLength;
 
     let page = 0;
     let start = 0;
     let bytesRemaining = buffer.byteLength;
 
     while (bytesRemaining > 0) {
-      const byteCount = Math.min(bytesRemaining, this.#MAX_PAYLOAD_LENGTH);
-      const isLastPacket = bytesRemaining <= this.#MAX_PAYLOAD_LENGTH;
-      const header = new ArrayBuffer(this.#PACKET_HEADER_LENGTH);
-
-      new DataView(header).setUint8(0, 0x02); // report ID
-      new DataView(header).setUint8(1, 0x07); // always 7 - set the icon
-      new DataView(header).setUint8(2, buttonId); // button
-      new DataView(header).setUint8(3, isLastPacket ? 1 : 0); // is last packet
-      new DataView(header).setUint16(4, byteCount, true);
-      new DataView(header).setUint16(6, page++, true);
+      const byteCount = Math.min(bytesRemaining, maxPayloadLength);
+      const isLastPacket = bytesRemaining <= maxPayloadLength;
 
       const end = start + byteCount;
-      const packet = new Uint8Array(this.#PACKET_SIZE);
-      packet.set(new Uint8Array(header));
+      const packet = new Uint8Array(packetSize);
+      writeHeader(new DataView(packet.buffer), page++, isLastPacket, byteCount);
       packet.set(
           new Uint8Array(buffer.slice(start, end)),
-          this.#PACKET_HEADER_LENGTH,
+          headerLength,
       );
 
       start = end;
@@ -537,27 +1172,22 @@ export class StreamDeckV2 {
   }
 
   /**
-   * Queues the packets and sends them in order.
+   * The Original takes each image as exactly two large reports, split in half.
    *
-   * @param {Array} packets Array of packets to send to device.
+   * @param {number} keyIndex Hardware key index.
+   * @param {ArrayBuffer} buffer BMP image buffer.
+   * @return {!array}
    */
-  async #addPacketsToSendQueue(packets) {
-    this.#readyOrThrow();
-    this.#commandQueue.push(packets);
-    if (this.#isQueueRunning) {
-      return;
-    }
-    this.#isQueueRunning = true;
-    let queued = this.#commandQueue.shift();
-    while (queued) {
-      for (const packet of queued) {
-        const reportId = packet[0];
-        const data = new Uint8Array(packet.slice(1));
-        await this.#device.sendReport(reportId, data);
-      }
-      queued = this.#commandQueue.shift();
-    }
-    this.#isQueueRunning = false;
+  #getOriginalPackets(keyIndex, buffer) {
+    const packetSize = 8191;
+    const headerLength = 16;
+    const half = Math.ceil(buffer.byteLength / 2);
+    return [[0, half], [half, buffer.byteLength]].map(([start, end], i) => {
+      const packet = new Uint8Array(packetSize);
+      packet.set([0x02, 0x01, i + 1, 0x00, i === 1 ? 1 : 0, keyIndex + 1]);
+      packet.set(new Uint8Array(buffer.slice(start, end)), headerLength);
+      return packet;
+    });
   }
 
   /**
@@ -1,14 +1,61 @@
+import { SessionRecorder } from '../utils/session-recorder.js';
+import { PolyphaseResampler } from '../utils/resampler.js';
+import { JitterBuffer } from '../utils/jitter-buffer.js';
+
 export class AudioManager extends EventTarget {
     constructor() {
         super();
         this.audioContext = null;
         this.mediaStream = null;
         this.workletNode = null;
+        /** Model audio is scheduled or playing. */
         this.isPlaying = false;
         this.audioQueue = [];
-        this.nextStartTime = 0;
+        /** @type {Set<AudioBufferSourceNode>} Sources scheduled for playback but not yet ended. */
+        this.activeSources = new Set();
+        /** @type {Set<GainNode>} Gains of those sources, connected to `outputNode`. */
+        this.activeGains = new Set();
+        /** Decides when model chunks play and counts underruns/overruns. */
+        this.jitterBuffer = new JitterBuffer();
+        /** @type {{gain: GainNode, end: number}|null} The last scheduled chunk, whose fade-out is cancelled if the next one follows on. */
+        this.lastChunk = null;
+        /** Speaker deviceId for model playback. Empty string means the system default. */
+        this.outputDeviceId = '';
+        /** @type {AudioNode|null} Where playback is connected. Defaults to the context destination. */
+        this.outputNode = null;
+        /** @type {HTMLAudioElement|null} Used to route playback when AudioContext.setSinkId is unavailable. */
+        this.outputElement = null;
+        /** When true, incoming model audio is dropped instead of played. */
+        this.playbackMuted = false;
+        /** @type {SessionRecorder|null} Set while recording. Survives re-initialization (e.g. a mic change). */
+        this.recorder = null;
+        /** Run voice activity detection in the worklet. */
+        this.vadEnabled = false;
+        /** @type {Partial<import('../utils/vad.js').VADOptions>} */
+        this.vadOptions = {};
+        /** Latest VAD state reported by the worklet. */
+        this.vadSpeech = false;
+        /** Whether the current stream drops chunks while the VAD hears no speech. */
+        this.gateWithVAD = false;
+        /** @type {Array<{data: ArrayBuffer, time: number}>} Recently gated chunks, sent when speech starts so its onset isn't clipped. */
+        this.preRoll = [];
+        /** @type {AnalyserNode|null} Taps model playback for its level. */
+        this.outputAnalyser = null;
+        /** @type {PolyphaseResampler|null} Model audio to the context rate, when they differ. */
+        this.playbackResampler = null;
     }
 
+    /** Rate of the PCM sent to Gemini. The worklet resamples the mic to it. */
+    static INPUT_SAMPLE_RATE = 16000;
+    /** Rate of the PCM Gemini sends back. */
+    static OUTPUT_SAMPLE_RATE = 24000;
+
+    /** Length of the fades where playback starts, stops or runs dry. */
+    static FADE_SECONDS = 0.005;
+
+    /** Gated chunks kept for pre-roll (2048 samples each, so ~250ms at 16kHz). */
+    static PRE_ROLL_CHUNKS = 2;
+
     async initialize(micId = 'default') {
         // Cleanup previous session if active
         this.stop();
@@ -42,22 +89,47 @@ export class AudioManager extends EventTarget {
             this.analyser.smoothingTimeConstant = 0.8;
             source.connect(this.analyser);
 
-            this.workletNode = new AudioWorkletNode(this.audioContext, 'audio-processor');
+            // Model playback fans out to this too, for its level
+            this.outputAnalyser = this.audioContext.createAnalyser();
+            this.outputAnalyser.fftSize = 1024;
+
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+                processorOptions: { targetSampleRate: AudioManager.INPUT_SAMPLE_RATE }
+            });
+
+            // Resampling each chunk independently would click at every chunk edge, so keep one stateful resampler
+            this.playbackResampler = this.audioContext.sampleRate === AudioManager.OUTPUT_SAMPLE_RATE
+                ? null
+                : new PolyphaseResampler(AudioManager.OUTPUT_SAMPLE_RATE, this.audioContext.sampleRate);
             
             let logCount = 0;
             this.workletNode.port.onmessage = (event) => {
+                // Control messages from the worklet
+                if (!(event.data instanceof ArrayBuffer)) {
+                    if (event.data.type === 'vad') this.handleVAD(event.data.speech);
+                    return;
+                }
+
                 if (!this.isStreaming) return; 
                 // if (logCount++ % 100 === 0) {
                 //      console.log('[AudioManager] Received audio chunk from worklet. Size:', event.data.byteLength);
                 // }
 
                 // PCM Data from Worklet
-                this.dispatchEvent(new CustomEvent('audioinput', { detail: event.data }));
+                if (this.gateWithVAD && !this.vadSpeech) {
+                    this.preRoll.push({ data: event.data, time: performance.now() });
+                    if (this.preRoll.length > AudioManager.PRE_ROLL_CHUNKS) this.preRoll.shift();
+                    return;
+                }
+                this.emitInput(event.data);
             };
+            this.postVADConfig();
 
             source.connect(this.workletNode);
             // We don't connect worklet to destination to avoid self-hearing (unless desired)
             
+            await this.applyOutputDevice();
+
             console.log('AudioManager initialized at', this.audioContext.sampleRate, 'Hz');
 
         } catch (error) {
@@ -66,9 +138,15 @@ export class AudioManager extends EventTarget {
         }
     }
 
-    startStreaming() {
+    /**
+     * @param {boolean} [gateWithVAD] Only send audio while the VAD hears speech
+     *     (needs setVAD(true)). Fires 'speechstart'/'speechend' as it opens and closes.
+     */
+    startStreaming(gateWithVAD = false) {
         console.log('[AudioManager] startStreaming called. Context state:', this.audioContext?.state);
         this.isStreaming = true;
+        this.gateWithVAD = gateWithVAD && this.vadEnabled;
+        this.preRoll = [];
         if (this.audioContext && this.audioContext.state === 'suspended') {
             this.audioContext.resume()
                 .then(() => {
@@ -88,46 +166,342 @@ export class AudioManager extends EventTarget {
         }
     }
 
+    /**
+     * Select the speaker used for model playback. Can be called before
+     * initialize() (the choice is applied once the context exists) or live
+     * during a session.
+     * @param {string} deviceId An `audiooutput` deviceId from enumerateDevices().
+     */
+    async setOutputDevice(deviceId) {
+        this.outputDeviceId = deviceId === 'default' ? '' : (deviceId || '');
+        if (!this.audioContext) return;
+        await this.applyOutputDevice();
+    }
+
+    async applyOutputDevice() {
+        const sinkId = this.outputDeviceId;
+        try {
+            // Chrome 110+: route the whole context
+            if (typeof this.audioContext.setSinkId === 'function') {
+                await this.audioContext.setSinkId(sinkId);
+                this.setOutputNode(this.audioContext.destination);
+                return;
+            }
+
+            // Fallback: stream into an <audio> element, which has had setSinkId for longer
+            const canRoute = typeof this.audioContext.createMediaStreamDestination === 'function'
+                && typeof HTMLMediaElement !== 'undefined'
+                && 'setSinkId' in HTMLMediaElement.prototype;
+            if (!sinkId || !canRoute) {
+                if (sinkId) {
+                    this.dispatchEvent(new CustomEvent('warning', {
+                        detail: { message: 'Speaker selection is not supported in this browser. Using the default output.' }
+                    }));
+                }
+                this.releaseOutputElement();
+                this.setOutputNode(this.audioContext.destination);
+                return;
+            }
+
+            if (!this.outputElement) {
+                const streamDestination = this.audioContext.createMediaStreamDestination();
+                this.outputElement = new Audio();
+                this.outputElement.srcObject = streamDestination.stream;
+                this.setOutputNode(streamDestination);
+            }
+            await this.outputElement.setSinkId(sinkId);
+            await this.outputElement.play();
+        } catch (error) {
+            console.error('[AudioManager] Failed to set output device:', error);
+            this.dispatchEvent(new CustomEvent('warning', {
+                detail: { message: `Could not switch speaker: ${error.message}` }
+            }));
+        }
+    }
+
+    /**
+     * Route playback to `node`. Chunks already scheduled move with it, so
+     * queued model audio doesn't finish on the old speaker.
+     * @param {AudioNode} node
+     */
+    setOutputNode(node) {
+        const previous = this.outputNode || this.audioContext.destination;
+        this.outputNode = node;
+        if (node === previous) return;
+        for (const gain of this.activeGains) {
+            gain.disconnect(previous);
+            gain.connect(node);
+        }
+    }
+
+    releaseOutputElement() {
+        if (this.outputElement) {
+            this.outputElement.pause();
+            this.outputElement.srcObject = null;
+            this.outputElement = null;
+        }
+    }
+
     stopStreaming() {
         console.log('[AudioManager] stopStreaming called');
         this.isStreaming = false;
+        this.gateWithVAD = false;
+        this.preRoll = [];
+    }
+
+    /**
+     * Record and dispatch one mic chunk.
+     * @param {ArrayBuffer} data 16-bit PCM from the worklet.
+     * @param {number} [receivedAt] performance.now() when the worklet delivered it.
+     */
+    emitInput(data, receivedAt = performance.now()) {
+        if (this.recorder) {
+            const samples = new Int16Array(data);
+            const sampleRate = AudioManager.INPUT_SAMPLE_RATE;
+            // The chunk had just been filled when it arrived, so it started one chunk length earlier
+            const start = this.recorder.now() - (performance.now() - receivedAt) / 1000 - samples.length / sampleRate;
+            this.recorder.addChunk('user', samples, start, sampleRate);
+        }
+        this.dispatchEvent(new CustomEvent('audioinput', { detail: data }));
+    }
+
+    /**
+     * Configure voice activity detection. Takes effect immediately, and is
+     * re-applied when the audio graph is rebuilt.
+     * @param {boolean} enabled
+     * @param {Partial<import('../utils/vad.js').VADOptions>} [options]
+     */
+    setVAD(enabled, options = {}) {
+        this.vadEnabled = enabled;
+        this.vadOptions = { ...options };
+        if (!enabled) {
+            this.gateWithVAD = false;
+            this.vadSpeech = false;
+        }
+        this.postVADConfig();
+    }
+
+    postVADConfig() {
+        if (!this.workletNode) return;
+        this.vadSpeech = false;
+        this.workletNode.port.postMessage({ type: 'vad-config', enabled: this.vadEnabled, options: this.vadOptions });
+    }
+
+    /**
+     * @param {boolean} speech
+     */
+    handleVAD(speech) {
+        this.vadSpeech = speech;
+        if (!this.isStreaming || !this.gateWithVAD) return;
+
+        if (speech) {
+            const preRoll = this.preRoll;
+            this.preRoll = [];
+            this.dispatchEvent(new Event('speechstart'));
+            preRoll.forEach(chunk => this.emitInput(chunk.data, chunk.time));
+        } else {
+            this.dispatchEvent(new Event('speechend'));
+        }
     }
 
     /**
-     * Play raw PCM audio chunk (16-bit Int, 24kHz usually from Gemini, but let's check spec).
-     * Gemini 2.0 Flash Exp usually returns 24kHz.
+     * Play raw PCM audio chunk (16-bit Int, 24kHz from Gemini).
      * @param {ArrayBuffer} pcmData 
      */
     playAudio(pcmData) {
-        if (!this.audioContext) return;
+        if (!this.audioContext || this.playbackMuted) return;
 
         // Convert Int16 PCM to Float32
         const int16 = new Int16Array(pcmData);
-        const float32 = new Float32Array(int16.length);
+        /** @type {Float32Array} */
+        let float32 = new Float32Array(int16.length);
         for (let i = 0; i < int16.length; i++) {
             float32[i] = int16[i] / 32768.0;
         }
 
-        // Create AudioBuffer
-        // Gemini output is often 24kHz.
-        const buffer = this.audioContext.createBuffer(1, float32.length, 24000);
+        // Create AudioBuffer at the context rate
+        let sampleRate = AudioManager.OUTPUT_SAMPLE_RATE;
+        if (this.playbackResampler) {
+            float32 = this.playbackResampler.process(float32);
+            sampleRate = this.audioContext.sampleRate;
+        }
+        if (!float32.length) return;
+        const buffer = this.audioContext.createBuffer(1, float32.length, sampleRate);
         buffer.getChannelData(0).set(float32);
 
+        const currentTime = this.audioContext.currentTime;
+        const slot = this.jitterBuffer.schedule(currentTime, buffer.duration);
+        if (slot.dropped) {
+            // Resampler state now runs ahead of what plays; start the next chunk clean
+            this.playbackResampler?.reset();
+            this.dispatchEvent(new CustomEvent('overrun', { detail: this.playbackStats }));
+            return;
+        }
+        if (slot.underrun) {
+            this.dispatchEvent(new CustomEvent('underrun', { detail: this.playbackStats }));
+        }
+
+        const fade = Math.min(AudioManager.FADE_SECONDS, buffer.duration / 2);
+        const end = slot.start + buffer.duration;
+        const gain = this.audioContext.createGain();
+        gain.connect(this.outputNode || this.audioContext.destination);
+        if (this.outputAnalyser) gain.connect(this.outputAnalyser);
+
+        const previous = this.lastChunk;
+        if (!slot.gap && previous && previous.end - fade > currentTime) {
+            // Continues the previous chunk: keep it at full volume to the end
+            previous.gain.gain.cancelScheduledValues(previous.end - fade);
+            previous.gain.gain.setValueAtTime(1, previous.end - fade);
+            gain.gain.setValueAtTime(1, slot.start);
+        } else {
+            // After a gap (or too late to cancel the fade-out), fade in rather than click
+            gain.gain.setValueAtTime(0, slot.start);
+            gain.gain.linearRampToValueAtTime(1, slot.start + fade);
+        }
+        // Fade out in case nothing follows in time; cancelled if something does
+        gain.gain.setValueAtTime(1, end - fade);
+        gain.gain.linearRampToValueAtTime(0, end);
+        this.lastChunk = { gain, end };
+
         const source = this.audioContext.createBufferSource();
         source.buffer = buffer;
-        source.connect(this.audioContext.destination);
+        source.connect(gain);
+        source.onended = () => {
+            this.activeSources.delete(source);
+            this.activeGains.delete(gain);
+            gain.disconnect();
+            if (!this.activeSources.size) this.setPlaying(false);
+        };
+        this.activeSources.add(source);
+        this.activeGains.add(gain);
+        this.setPlaying(true);
 
-        // Schedule playback
-        const currentTime = this.audioContext.currentTime;
-        if (this.nextStartTime < currentTime) {
-            this.nextStartTime = currentTime;
+        source.start(slot.start);
+        if (this.recorder) {
+            const delay = slot.start - currentTime;
+            this.recorder.addChunk('model', int16, this.recorder.now() + delay, AudioManager.OUTPUT_SAMPLE_RATE);
+        }
+    }
+
+    /**
+     * Fires 'playbackstart' when the model starts being heard and 'playbackend' when it goes quiet.
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        if (playing === this.isPlaying) return;
+        this.isPlaying = playing;
+        this.dispatchEvent(new Event(playing ? 'playbackstart' : 'playbackend'));
+    }
+
+    /**
+     * Current RMS (0-1) of the mic while it's streaming and of model playback while it plays.
+     * @returns {{input: number, output: number}}
+     */
+    get levels() {
+        return {
+            input: this.isStreaming && this.analyser ? AudioManager.rmsOf(this.analyser) : 0,
+            output: this.isPlaying && this.outputAnalyser ? AudioManager.rmsOf(this.outputAnalyser) : 0
+        };
+    }
+
+    /**
+     * @param {AnalyserNode} analyser
+     */
+    static rmsOf(analyser) {
+        const data = new Uint8Array(analyser.fftSize);
+        analyser.getByteTimeDomainData(data);
+        let sum = 0;
+        for (let i = 0; i < data.length; i++) {
+            const amplitude = (data[i] - 128) / 128;
+            sum += amplitude * amplitude;
+        }
+        return Math.sqrt(sum / data.length);
+    }
+
+    /** Context time at which queued playback runs out. */
+    get nextStartTime() {
+        return this.jitterBuffer.nextStart;
+    }
+
+    /**
+     * Underrun/overrun counts, the jitter buffer's current target delay and how much is queued.
+     */
+    get playbackStats() {
+        return this.jitterBuffer.stats(this.audioContext ? this.audioContext.currentTime : 0);
+    }
+
+    /**
+     * The model finished its turn, so the silence that follows isn't an underrun.
+     */
+    endPlaybackStream() {
+        this.jitterBuffer.endStream();
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    /**
+     * Start capturing mic input (as sent to Gemini) and model playback on a shared timeline.
+     * Replaces any recording in progress.
+     */
+    startRecording() {
+        this.recorder = new SessionRecorder({
+            user: AudioManager.INPUT_SAMPLE_RATE,
+            model: AudioManager.OUTPUT_SAMPLE_RATE
+        });
+    }
+
+    /**
+     * @returns {SessionRecorder|null} The finished recording, or null if none was running.
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        return recorder;
+    }
+
+    /**
+     * Silence the model. Muting also cuts off whatever is already queued.
+     * @param {boolean} muted
+     */
+    setPlaybackMuted(muted) {
+        this.playbackMuted = muted;
+        if (muted) {
+            this.stopPlayback();
+        }
+    }
+
+    /**
+     * Stop the current chunk and drop everything queued behind it.
+     * Used when the model is interrupted (barge-in).
+     */
+    stopPlayback() {
+        for (const source of this.activeSources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Already stopped or never started
+            }
         }
-        
-        source.start(this.nextStartTime);
-        this.nextStartTime += buffer.duration;
+        this.activeSources.clear();
+        // Their onended won't run now, so release the fade gains here
+        for (const gain of this.activeGains) gain.disconnect();
+        this.activeGains.clear();
+        this.jitterBuffer.reset();
+        this.lastChunk = null;
+        this.setPlaying(false);
+        // The next chunk doesn't continue this one
+        this.playbackResampler?.reset();
+        // Queued audio that never played shouldn't end up in the recording
+        this.recorder?.truncate('model', this.recorder.now());
     }
 
     stop() {
+        this.stopPlayback();
+        this.releaseOutputElement();
+        this.outputNode = null;
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
         }
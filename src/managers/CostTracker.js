@@ -0,0 +1,162 @@
+import { computeCost } from '../utils/pricing.js';
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} tokens
+ * @property {number} cost USD.
+ */
+
+/**
+ * @typedef {object} Budget
+ * @property {number|null} soft USD per day at which to warn. null disables.
+ * @property {number|null} hard USD per day at which to disconnect. null disables.
+ */
+
+/**
+ * Accumulates token usage and cost per session and per calendar day, and
+ * enforces a daily budget.
+ *
+ * Each usageMetadata payload is treated as the usage of one turn, so
+ * payloads are summed.
+ *
+ * Fires 'change' after usage is added, 'softlimit' once when the day's
+ * spend first reaches the soft limit, and 'hardlimit' whenever usage is
+ * added (or the budget is lowered) with the spend at or over the hard limit,
+ * so a session can't keep spending past it.
+ */
+export class CostTracker extends EventTarget {
+    static DAILY_KEY = 'usage_daily';
+    static BUDGET_KEY = 'cost_budget';
+    /** Days of daily totals kept in localStorage. */
+    static KEEP_DAYS = 31;
+
+    /**
+     * @param {() => Date} [clock] Injectable for tests.
+     */
+    constructor(clock = () => new Date()) {
+        super();
+        this.clock = clock;
+        /** @type {Object<string, UsageTotals>} Keyed by local date, YYYY-MM-DD. */
+        this.daily = {};
+        /** @type {Budget} */
+        this.budget = { soft: null, hard: null };
+        this.startSession();
+        this.load();
+    }
+
+    /** Reset the per-session totals. Daily totals carry on. */
+    startSession() {
+        /** @type {UsageTotals} */
+        this.session = { tokens: 0, cost: 0 };
+        /** @type {Map<string, import('../utils/pricing.js').CostRow>} Session totals by direction and modality. */
+        this.sessionRows = new Map();
+    }
+
+    /** Local calendar date, YYYY-MM-DD. */
+    get todayKey() {
+        const now = this.clock();
+        const pad = n => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /** @returns {UsageTotals} */
+    get today() {
+        return this.daily[this.todayKey] || { tokens: 0, cost: 0 };
+    }
+
+    /**
+     * 'ok', 'soft' (warn) or 'hard' (stop), from today's spend.
+     * @returns {'ok'|'soft'|'hard'}
+     */
+    get level() {
+        return CostTracker.levelFor(this.today.cost, this.budget);
+    }
+
+    /**
+     * @param {number} cost
+     * @param {Budget} budget
+     * @returns {'ok'|'soft'|'hard'}
+     */
+    static levelFor(cost, budget) {
+        if (budget.hard !== null && cost >= budget.hard) return 'hard';
+        if (budget.soft !== null && cost >= budget.soft) return 'soft';
+        return 'ok';
+    }
+
+    /**
+     * Add one usageMetadata payload.
+     * @param {any} usage
+     * @param {string} model Used to pick the rate table.
+     */
+    add(usage, model) {
+        const { rows, totalTokens, totalCost } = computeCost(usage, model);
+        const levelBefore = this.level;
+
+        this.session.tokens += totalTokens;
+        this.session.cost += totalCost;
+        for (const row of rows) {
+            const key = `${row.label}:${row.modality}`;
+            const total = this.sessionRows.get(key) || { ...row, tokenCount: 0, cost: 0 };
+            total.tokenCount += row.tokenCount;
+            total.cost += row.cost;
+            this.sessionRows.set(key, total);
+        }
+
+        const today = this.today;
+        this.daily[this.todayKey] = { tokens: today.tokens + totalTokens, cost: today.cost + totalCost };
+        this.save();
+        this.dispatchEvent(new Event('change'));
+
+        this.checkLimits(levelBefore);
+    }
+
+    /**
+     * Fire the limit events for the current level.
+     * @param {'ok'|'soft'|'hard'} levelBefore
+     */
+    checkLimits(levelBefore) {
+        const level = this.level;
+        // Jumping straight past both limits still warns first
+        if (levelBefore === 'ok' && level !== 'ok') this.dispatchEvent(new Event('softlimit'));
+        if (level === 'hard') this.dispatchEvent(new Event('hardlimit'));
+    }
+
+    /**
+     * @param {{soft?: number|string|null, hard?: number|string|null}} budget
+     *     USD per day. Accepts input values; empty, zero or invalid disables that limit.
+     */
+    setBudget(budget) {
+        const parse = value => {
+            const number = value === null || value === '' ? NaN : Number(value);
+            return number > 0 ? number : null;
+        };
+        const levelBefore = this.level;
+        this.budget = { soft: parse(budget.soft), hard: parse(budget.hard) };
+        localStorage.setItem(CostTracker.BUDGET_KEY, JSON.stringify(this.budget));
+        this.dispatchEvent(new Event('change'));
+        // A limit lowered below today's spend applies straight away
+        if (this.level !== levelBefore) this.checkLimits(levelBefore);
+    }
+
+    load() {
+        try {
+            const daily = JSON.parse(localStorage.getItem(CostTracker.DAILY_KEY));
+            if (daily && typeof daily === 'object') this.daily = daily;
+            const budget = JSON.parse(localStorage.getItem(CostTracker.BUDGET_KEY));
+            if (budget && typeof budget === 'object') {
+                this.budget = { soft: budget.soft ?? null, hard: budget.hard ?? null };
+            }
+        } catch (e) {
+            console.warn('Ignoring invalid saved usage:', e);
+        }
+    }
+
+    save() {
+        // Keys sort chronologically, so the oldest are first
+        const days = Object.keys(this.daily).sort();
+        for (const day of days.slice(0, Math.max(0, days.length - CostTracker.KEEP_DAYS))) {
+            delete this.daily[day];
+        }
+        localStorage.setItem(CostTracker.DAILY_KEY, JSON.stringify(this.daily));
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * @typedef {object} HistorySession
+ * @property {string} id
+ * @property {number} startedAt Epoch ms.
+ * @property {number|null} endedAt Epoch ms. null if the page closed mid-session.
+ * @property {string} model
+ * @property {string} voice
+ * @property {import('../utils/transcript.js').TranscriptTurn[]} turns
+ * @property {{totalTokenCount: number, cost?: number}|null} usage Session totals, as summed by CostTracker.
+ *     Older records hold the last usageMetadata payload instead, and may lack totalTokenCount.
+ */
+
+/**
+ * Wrap an IDBRequest (or transaction completion) in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores past conversations in IndexedDB.
+ *
+ * Fires 'change' after a session is saved or deleted.
+ */
+export class HistoryManager extends EventTarget {
+    static DB_NAME = 'streamdeck-gemini-history';
+    static DB_VERSION = 1;
+    static STORE = 'sessions';
+
+    /**
+     * @param {string} [dbName] Separate databases keep tests away from real history.
+     */
+    constructor(dbName = HistoryManager.DB_NAME) {
+        super();
+        this.dbName = dbName;
+        /** @type {Promise<IDBDatabase>|null} */
+        this.dbPromise = null;
+    }
+
+    /** @returns {Promise<IDBDatabase>} */
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, HistoryManager.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HistoryManager.STORE, { keyPath: 'id' });
+                store.createIndex('startedAt', 'startedAt');
+            };
+            this.dbPromise = promisify(request);
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @param {'readonly'|'readwrite'} mode
+     * @returns {Promise<IDBObjectStore>}
+     */
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(HistoryManager.STORE, mode).objectStore(HistoryManager.STORE);
+    }
+
+    /**
+     * Insert or replace a session.
+     * @param {HistorySession} session
+     */
+    async save(session) {
+        // structuredClone drops anything IndexedDB couldn't store anyway, and detaches from live edits
+        await promisify((await this.store('readwrite')).put(structuredClone(session)));
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<HistorySession|undefined>}
+     */
+    async get(id) {
+        return promisify((await this.store('readonly')).get(id));
+    }
+
+    /**
+     * All sessions, newest first.
+     * @returns {Promise<HistorySession[]>}
+     */
+    async list() {
+        /** @type {HistorySession[]} */
+        const sessions = await promisify((await this.store('readonly')).index('startedAt').getAll());
+        return sessions.reverse();
+    }
+
+    /**
+     * Sessions whose transcript contains every word of `query`, newest first.
+     * @param {string} query
+     * @returns {Promise<HistorySession[]>}
+     */
+    async search(query) {
+        const sessions = await this.list();
+        return sessions.filter(session => HistoryManager.matches(session, query));
+    }
+
+    /**
+     * Case-insensitive: every whitespace-separated term must appear somewhere
+     * in the session's turns, model or voice. An empty query matches everything.
+     * @param {HistorySession} session
+     * @param {string} query
+     */
+    static matches(session, query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.length) return true;
+        const haystack = [session.model, session.voice, ...session.turns.map(turn => turn.text)]
+            .join('\n')
+            .toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    }
+
+    /**
+     * @param {string} id
+     */
+    async delete(id) {
+        await promisify((await this.store('readwrite')).delete(id));
+        this.dispatchEvent(new Event('change'));
+    }
+
+    async close() {
+        if (!this.dbPromise) return;
+        (await this.dbPromise).close();
+        this.dbPromise = null;
+    }
+}
@@ -0,0 +1,211 @@
+import { KeyboardInput } from '../input/KeyboardInput.js';
+import { MidiInput } from '../input/MidiInput.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+
+/**
+ * Lets keyboard shortcuts, MIDI notes/CCs and gamepad buttons stand in for
+ * deck keys. Each control is bound to a key index and presses it, so it runs
+ * whatever action that key has.
+ *
+ * Fires 'keydown'/'keyup' (detail: {buttonId, control}) like StreamDeckV2,
+ * 'change' when bindings change, and 'learn' (detail: {keyIndex, control,
+ * error}) when learning ends.
+ */
+export class InputManager extends EventTarget {
+    static STORAGE_KEY = 'input_bindings';
+    static MIDI_KEY = 'midi_enabled';
+
+    /** Shortcuts the browser keeps for itself, or that would be too easy to hit by accident. */
+    static RESERVED = new Set([
+        'keyboard:Ctrl+KeyW', 'keyboard:Ctrl+KeyT', 'keyboard:Ctrl+KeyN', 'keyboard:Ctrl+KeyQ',
+        'keyboard:Ctrl+Shift+KeyT', 'keyboard:Ctrl+Shift+KeyN', 'keyboard:Ctrl+Tab', 'keyboard:Ctrl+Shift+Tab',
+        'keyboard:Meta+KeyW', 'keyboard:Meta+KeyT', 'keyboard:Meta+KeyN', 'keyboard:Meta+KeyQ',
+        'keyboard:Alt+F4', 'keyboard:Escape', 'keyboard:Tab', 'keyboard:Shift+Tab',
+    ]);
+
+    constructor() {
+        super();
+        /** @type {Object<string, number>} Control id -> key index. */
+        this.bindings = {};
+        /** @type {number|null} Key waiting for a control to be pressed. */
+        this.learningKey = null;
+        /** The control that was just learned; its release shouldn't reach the key. */
+        this.learnedControl = null;
+
+        const handler = (control, isDown) => this.handleControl(control, isDown);
+        this.keyboard = new KeyboardInput(handler);
+        this.midi = new MidiInput(handler);
+        this.gamepad = new GamepadInput(handler);
+        this.load();
+    }
+
+    /**
+     * Start the keyboard and gamepad, and MIDI if it was enabled before.
+     */
+    async start() {
+        this.keyboard.start();
+        this.gamepad.start();
+        if (localStorage.getItem(InputManager.MIDI_KEY) === 'true') {
+            try {
+                await this.midi.start();
+            } catch (e) {
+                console.warn('MIDI unavailable:', e);
+            }
+        }
+    }
+
+    /**
+     * Ask for MIDI access. Remembered, so later visits start it automatically.
+     * @throws {Error} If MIDI is unsupported or refused.
+     */
+    async enableMidi() {
+        await this.midi.start();
+        localStorage.setItem(InputManager.MIDI_KEY, 'true');
+    }
+
+    /**
+     * @param {string} control
+     * @param {boolean} isDown
+     * @returns {boolean} Whether the control was used.
+     */
+    handleControl(control, isDown) {
+        if (this.learningKey !== null) {
+            if (isDown) this.finishLearning(control);
+            return true;
+        }
+        if (!isDown && control === this.learnedControl) {
+            this.learnedControl = null;
+            return true;
+        }
+
+        const keyIndex = this.bindings[control];
+        if (keyIndex === undefined) return false;
+        this.dispatchEvent(new CustomEvent(isDown ? 'keydown' : 'keyup', { detail: { buttonId: keyIndex, control } }));
+        return true;
+    }
+
+    /**
+     * Bind the next control pressed on any source to `keyIndex`. Escape cancels.
+     * @param {number} keyIndex
+     */
+    learn(keyIndex) {
+        this.learningKey = keyIndex;
+    }
+
+    cancelLearning() {
+        if (this.learningKey === null) return;
+        const keyIndex = this.learningKey;
+        this.learningKey = null;
+        this.dispatchEvent(new CustomEvent('learn', { detail: { keyIndex, control: null, error: null } }));
+    }
+
+    /**
+     * @param {string} control
+     */
+    finishLearning(control) {
+        if (control === 'keyboard:Escape') {
+            this.cancelLearning();
+            return;
+        }
+        const keyIndex = this.learningKey;
+        this.learningKey = null;
+        this.learnedControl = control;
+        let error = null;
+        try {
+            this.bind(control, keyIndex);
+        } catch (e) {
+            error = e.message;
+        }
+        this.dispatchEvent(new CustomEvent('learn', { detail: { keyIndex, control, error } }));
+    }
+
+    /**
+     * Why `control` can't be bound to `keyIndex`, or null if it can.
+     * @param {string} control
+     * @param {number} keyIndex
+     */
+    conflictFor(control, keyIndex) {
+        if (InputManager.RESERVED.has(control)) {
+            return `${InputManager.describe(control)} is reserved by the browser`;
+        }
+        const current = this.bindings[control];
+        if (current !== undefined && current !== keyIndex) {
+            return `${InputManager.describe(control)} is already bound to key ${current + 1}`;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} control
+     * @param {number} keyIndex
+     * @throws {Error} If the control conflicts, see conflictFor().
+     */
+    bind(control, keyIndex) {
+        const conflict = this.conflictFor(control, keyIndex);
+        if (conflict) throw new Error(conflict);
+        this.bindings[control] = keyIndex;
+        this.changed();
+    }
+
+    /**
+     * @param {string} control
+     */
+    unbind(control) {
+        if (!(control in this.bindings)) return;
+        delete this.bindings[control];
+        this.changed();
+    }
+
+    /**
+     * Controls bound to a key.
+     * @param {number} keyIndex
+     * @returns {string[]}
+     */
+    controlsFor(keyIndex) {
+        return Object.keys(this.bindings).filter(control => this.bindings[control] === keyIndex);
+    }
+
+    /**
+     * Human-readable name for a control id.
+     * @param {string} control
+     */
+    static describe(control) {
+        const [source, ...rest] = control.split(':');
+        switch (source) {
+            case 'keyboard':
+                return rest.join(':').split('+').map(part => part.replace(/^(Key|Digit)/, '')).join('+');
+            case 'midi':
+                return rest[0] === 'cc' ? `MIDI CC ${rest[1]}` : `MIDI note ${rest[1]}`;
+            case 'gamepad':
+                return `Pad button ${rest[1]}`;
+            default:
+                return control;
+        }
+    }
+
+    /**
+     * @param {string} control
+     * @returns {'keyboard'|'midi'|'gamepad'|string}
+     */
+    static sourceOf(control) {
+        return control.split(':')[0];
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(InputManager.STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                for (const [control, keyIndex] of Object.entries(saved)) {
+                    if (Number.isInteger(keyIndex) && keyIndex >= 0) this.bindings[control] = keyIndex;
+                }
+            }
+        } catch (e) {
+            console.warn('Ignoring invalid saved input bindings:', e);
+        }
+    }
+
+    changed() {
+        localStorage.setItem(InputManager.STORAGE_KEY, JSON.stringify(this.bindings));
+        this.dispatchEvent(new Event('change'));
+    }
+}
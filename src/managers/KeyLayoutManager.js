@@ -0,0 +1,493 @@
+/**
+ * @typedef {object} KeyBinding
+ * @property {string} action One of the KeyLayoutManager.ACTIONS ids.
+ * @property {string} [text] Prompt text, for the 'prompt' action.
+ * @property {string} [snippet] Saved snippet name, for the 'snippet' action.
+ * @property {string} [folder] Folder to open, for the 'folder' action.
+ * @property {string} [voice] Voice to switch to, for the 'voice' action. Without it the key cycles voices.
+ * @property {string} [label] Optional label override shown under the key preview.
+ * @property {KeyBinding} [doubleTap] Action for a double tap of this key.
+ * @property {KeyBinding} [longPress] Action for holding this key.
+ */
+
+/**
+ * @typedef {object} ChordBinding
+ * @property {number[]} keys Two or more key indices pressed together, ascending.
+ * @property {KeyBinding} binding
+ */
+
+/**
+ * Maps deck key indices to actions. Persisted to localStorage and
+ * importable/exportable as JSON.
+ *
+ * A key's binding is what a plain press does. It can also carry a double
+ * tap and long press action, and sets of keys can be bound as chords.
+ *
+ * Besides the main page, keys can open named folders: whole pages of their
+ * own, usually with a back key. get(), set() and friends work on the page
+ * that's open. Chords work on every page.
+ *
+ * Fires 'change' whenever a binding is added, moved or removed, and 'page'
+ * when a different page opens.
+ */
+export class KeyLayoutManager extends EventTarget {
+    static STORAGE_KEY = 'key_layout';
+
+    /**
+     * Actions a key can be bound to. `momentary` actions receive both the key
+     * down and key up edge; the rest fire on key down only. `mic` actions open
+     * the microphone.
+     */
+    static ACTIONS = {
+        ptt: { label: 'Push To Talk', icon: 'mic', momentary: true, mic: true },
+        toggle: { label: 'Toggle Mic', icon: 'bubble', mic: true },
+        mute: { label: 'Mute Playback', icon: 'mute' },
+        reconnect: { label: 'Reconnect', icon: 'reconnect' },
+        voice: { label: 'Change Voice', icon: 'voice' },
+        prompt: { label: 'Send Prompt', icon: 'prompt' },
+        persona: { label: 'Next Persona', icon: 'persona' },
+        snippet: { label: 'Send Snippet', icon: 'snippet' },
+        screen: { label: 'Share Screen', icon: 'screen' },
+        folder: { label: 'Open Folder', icon: 'folder' },
+        back: { label: 'Back', icon: 'back' },
+    };
+
+    /** Extra gestures a key binding can carry, with their labels. */
+    static GESTURES = {
+        doubleTap: { label: 'Double Tap', short: '2×' },
+        longPress: { label: 'Long Press', short: 'Hold' },
+    };
+
+    /** The spec's defaults: key 0 is push-to-talk, key 1 toggles the mic. The rest open folders. */
+    static DEFAULT_BINDINGS = {
+        0: { action: 'ptt' },
+        1: { action: 'toggle' },
+        2: { action: 'folder', folder: 'voices' },
+        3: { action: 'folder', folder: 'prompts' },
+        4: { action: 'folder', folder: 'session' },
+    };
+
+    /** Each fits the 6 keys of a Mini, with back on key 0. */
+    static DEFAULT_FOLDERS = {
+        voices: {
+            0: { action: 'back' },
+            1: { action: 'voice', voice: 'Puck' },
+            2: { action: 'voice', voice: 'Charon' },
+            3: { action: 'voice', voice: 'Kore' },
+            4: { action: 'voice', voice: 'Fenrir' },
+            5: { action: 'voice', voice: 'Zephyr' },
+        },
+        prompts: {
+            0: { action: 'back' },
+            1: { action: 'prompt', text: 'Summarize what we said so far.' },
+            2: { action: 'prompt', text: 'Explain that more simply.' },
+            3: { action: 'prompt', text: 'Give me an example.' },
+            4: { action: 'prompt', text: 'What are the downsides?' },
+        },
+        session: {
+            0: { action: 'back' },
+            1: { action: 'reconnect' },
+            2: { action: 'persona' },
+            3: { action: 'mute' },
+            4: { action: 'screen' },
+            5: { action: 'voice' },
+        },
+    };
+
+    constructor() {
+        super();
+        /** @type {Object<number, KeyBinding>} */
+        this.bindings = {};
+        /** @type {Object<string, Object<number, KeyBinding>>} Folder name -> its page. */
+        this.folders = {};
+        /** @type {string[]} Open folders, innermost last. Empty on the main page. */
+        this.path = [];
+        /** @type {ChordBinding[]} */
+        this.chords = [];
+        /**
+         * Whether the saved layout marked a mic key for manual turn-taking, as
+         * layouts did before that became a session setting. Loading drops the mark.
+         */
+        this.hadManualActivity = false;
+        this.load();
+    }
+
+    /**
+     * The open page: a folder name, or '' for the main page.
+     */
+    get page() {
+        return this.path[this.path.length - 1] || '';
+    }
+
+    /**
+     * Every page, main first.
+     * @returns {string[]}
+     */
+    get pages() {
+        return ['', ...Object.keys(this.folders)];
+    }
+
+    /**
+     * @param {string} [page]
+     * @returns {Object<number, KeyBinding>}
+     */
+    pageBindings(page = this.page) {
+        return page ? this.folders[page] : this.bindings;
+    }
+
+    /**
+     * Open a folder on top of the current page. Opening one that's already
+     * open goes back to it instead of nesting it again.
+     * @param {string} folder
+     * @throws {Error} If there's no such folder.
+     */
+    open(folder) {
+        if (!Object.hasOwn(this.folders, folder)) throw new Error(`No folder named "${folder}"`);
+        const depth = this.path.indexOf(folder);
+        this.path = depth >= 0 ? this.path.slice(0, depth + 1) : [...this.path, folder];
+        this.pageChanged();
+    }
+
+    /**
+     * Close the innermost folder.
+     */
+    back() {
+        if (!this.path.length) return;
+        this.path = this.path.slice(0, -1);
+        this.pageChanged();
+    }
+
+    /**
+     * Jump straight to a page, e.g. to edit it.
+     * @param {string} page Folder name, or '' for the main page.
+     */
+    showPage(page) {
+        if (page && !Object.hasOwn(this.folders, page)) throw new Error(`No folder named "${page}"`);
+        this.path = page ? [page] : [];
+        this.pageChanged();
+    }
+
+    /**
+     * @param {number} keyIndex
+     * @returns {KeyBinding|null}
+     */
+    get(keyIndex) {
+        return this.pageBindings()[keyIndex] || null;
+    }
+
+    /**
+     * Bind a key on the open page. A folder key creates its folder, with a back key, if it's new.
+     * @param {number} keyIndex
+     * @param {KeyBinding} binding
+     */
+    set(keyIndex, binding) {
+        const validated = KeyLayoutManager.validateBinding(binding);
+        this.pageBindings()[keyIndex] = validated;
+        if (validated.folder && !Object.hasOwn(this.folders, validated.folder)) {
+            this.folders[validated.folder] = { 0: { action: 'back' } };
+        }
+        this.changed();
+    }
+
+    /**
+     * Change what a plain press of a key does, keeping its double tap and long press.
+     * @param {number} keyIndex
+     * @param {KeyBinding} binding
+     * @throws {Error} If the action can't have the key's gestures, or see validateBinding().
+     */
+    setPress(keyIndex, binding) {
+        const updated = { ...binding };
+        for (const gesture of Object.keys(KeyLayoutManager.GESTURES)) {
+            delete updated[gesture];
+            const current = this.get(keyIndex)?.[gesture];
+            if (current) updated[gesture] = current;
+        }
+        this.set(keyIndex, updated);
+    }
+
+    /**
+     * Bind (or with null, unbind) a double tap or long press on a bound key.
+     * @param {number} keyIndex
+     * @param {'doubleTap'|'longPress'} gesture
+     * @param {KeyBinding|null} binding
+     * @throws {Error} If the key is unbound, or see validateBinding().
+     */
+    setGesture(keyIndex, gesture, binding) {
+        const current = this.get(keyIndex);
+        if (!current) throw new Error('Bind an action to the key before adding gestures to it');
+        const updated = { ...current, [gesture]: binding };
+        if (!binding) delete updated[gesture];
+        this.set(keyIndex, updated);
+    }
+
+    /**
+     * Bind an action to pressing several keys together. Replaces any chord on the same keys.
+     * @param {number[]} keys
+     * @param {KeyBinding} binding
+     * @throws {Error} If there are fewer than two distinct keys, or see validateBinding().
+     */
+    setChord(keys, binding) {
+        const chord = KeyLayoutManager.validateChord({ keys, binding });
+        this.chords = this.chords.filter(other => other.keys.join() !== chord.keys.join());
+        this.chords.push(chord);
+        this.changed();
+    }
+
+    /**
+     * @param {number[]} keys
+     */
+    clearChord(keys) {
+        const id = [...keys].sort((a, b) => a - b).join();
+        this.chords = this.chords.filter(chord => chord.keys.join() !== id);
+        this.changed();
+    }
+
+    /**
+     * @param {number[]} keys
+     * @returns {KeyBinding|null}
+     */
+    chordFor(keys) {
+        const id = [...keys].sort((a, b) => a - b).join();
+        return this.chords.find(chord => chord.keys.join() === id)?.binding || null;
+    }
+
+    /**
+     * @param {number} keyIndex
+     */
+    clear(keyIndex) {
+        delete this.pageBindings()[keyIndex];
+        this.changed();
+    }
+
+    /**
+     * Exchange two keys' bindings (either may be empty).
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     */
+    swap(fromIndex, toIndex) {
+        const bindings = this.pageBindings();
+        const from = bindings[fromIndex];
+        const to = bindings[toIndex];
+        delete bindings[fromIndex];
+        delete bindings[toIndex];
+        if (from) bindings[toIndex] = from;
+        if (to) bindings[fromIndex] = to;
+        this.changed();
+    }
+
+    reset() {
+        this.bindings = structuredClone(KeyLayoutManager.DEFAULT_BINDINGS);
+        this.folders = structuredClone(KeyLayoutManager.DEFAULT_FOLDERS);
+        this.chords = [];
+        const leftFolder = this.path.length > 0;
+        this.path = [];
+        this.changed();
+        if (leftFolder) this.pageChanged();
+    }
+
+    /**
+     * Key indices on the open page that have a binding, ascending.
+     * @returns {number[]}
+     */
+    get keys() {
+        return Object.keys(this.pageBindings()).map(Number).sort((a, b) => a - b);
+    }
+
+    /**
+     * Whether a layout, as saved by an older version, marks any mic key with
+     * `manualActivity`.
+     * @param {any} data Parsed layout JSON.
+     */
+    static marksManualActivity(data) {
+        const pages = [data?.keys, ...Object.values(data?.folders || {})];
+        return pages.some(page => page && typeof page === 'object' && Object.values(page).some(binding =>
+            binding?.manualActivity === true
+            && Object.hasOwn(KeyLayoutManager.ACTIONS, binding.action)
+            && KeyLayoutManager.ACTIONS[binding.action].mic));
+    }
+
+    /**
+     * Display label for a binding.
+     * @param {KeyBinding} binding
+     */
+    static labelFor(binding) {
+        if (binding.label) return binding.label;
+        if (binding.action === 'prompt' && binding.text) {
+            return binding.text.length > 18 ? `${binding.text.slice(0, 17)}…` : binding.text;
+        }
+        if (binding.action === 'snippet' && binding.snippet) return binding.snippet;
+        if (binding.action === 'folder' && binding.folder) return binding.folder;
+        if (binding.action === 'voice' && binding.voice) return binding.voice;
+        return KeyLayoutManager.ACTIONS[binding.action].label;
+    }
+
+    /**
+     * @param {any} binding
+     * @returns {KeyBinding}
+     * @throws {Error} If the action is unknown, required fields are missing,
+     *     or a gesture can't be combined with the key's action.
+     */
+    static validateBinding(binding) {
+        const result = KeyLayoutManager.validateAction(binding);
+        for (const gesture of Object.keys(KeyLayoutManager.GESTURES)) {
+            if (!binding[gesture]) continue;
+            if (KeyLayoutManager.ACTIONS[result.action].momentary) {
+                // Holding is the action itself, and waiting for a double tap would delay it
+                throw new Error(`${KeyLayoutManager.ACTIONS[result.action].label} keys can't have gestures`);
+            }
+            result[gesture] = KeyLayoutManager.validateGestureAction(binding[gesture]);
+        }
+        return result;
+    }
+
+    /**
+     * A double tap, long press or chord fires once, so it can't hold a momentary action.
+     * @param {any} binding
+     * @returns {KeyBinding}
+     */
+    static validateGestureAction(binding) {
+        const result = KeyLayoutManager.validateAction(binding);
+        if (KeyLayoutManager.ACTIONS[result.action].momentary) {
+            throw new Error(`${KeyLayoutManager.ACTIONS[result.action].label} needs a plain key press`);
+        }
+        return result;
+    }
+
+    /**
+     * @param {any} chord
+     * @returns {ChordBinding}
+     */
+    static validateChord(chord) {
+        const keys = [...new Set(Array.isArray(chord?.keys) ? chord.keys : [])].sort((a, b) => a - b);
+        if (keys.length < 2 || !keys.every(key => Number.isInteger(key) && key >= 0)) {
+            throw new Error('A chord needs two or more keys');
+        }
+        return { keys, binding: KeyLayoutManager.validateGestureAction(chord.binding) };
+    }
+
+    /**
+     * The action part of a binding, without gestures.
+     * @param {any} binding
+     * @returns {KeyBinding}
+     */
+    static validateAction(binding) {
+        if (!binding || typeof binding !== 'object' || !Object.hasOwn(KeyLayoutManager.ACTIONS, binding.action)) {
+            throw new Error(`Unknown key action: ${binding?.action}`);
+        }
+        if (binding.action === 'prompt' && !binding.text) {
+            throw new Error('A prompt key needs prompt text');
+        }
+        if (binding.action === 'snippet' && !binding.snippet) {
+            throw new Error('A snippet key needs a snippet name');
+        }
+        if (binding.action === 'folder' && !String(binding.folder || '').trim()) {
+            throw new Error('A folder key needs a folder name');
+        }
+        // Folders are keyed by name on a plain object, where this one would set its prototype
+        if (binding.action === 'folder' && String(binding.folder).trim() === '__proto__') {
+            throw new Error('A folder can\'t be named __proto__');
+        }
+        const result = { action: binding.action };
+        if (binding.text) result.text = String(binding.text);
+        if (binding.snippet) result.snippet = String(binding.snippet);
+        if (binding.action === 'folder') result.folder = String(binding.folder).trim();
+        if (binding.action === 'voice' && binding.voice) result.voice = String(binding.voice);
+        if (binding.label) result.label = String(binding.label);
+        return result;
+    }
+
+    toJSON() {
+        return { version: 3, keys: this.bindings, folders: this.folders, chords: this.chords };
+    }
+
+    /**
+     * Replace the layout with one previously produced by toJSON().
+     * Nothing changes if any entry is invalid.
+     * @param {string|object} json
+     * @throws {Error} If the layout is malformed.
+     */
+    importJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.keys !== 'object') {
+            throw new Error('Not a key layout file');
+        }
+
+        const bindings = KeyLayoutManager.validatePage(data.keys);
+        // Layouts from before folders get the default ones, ready to be put on a key
+        /** @type {Object<string, Object<number, KeyBinding>>} */
+        const folders = {};
+        for (const [name, page] of Object.entries(data.folders || KeyLayoutManager.DEFAULT_FOLDERS)) {
+            if (name === '__proto__') throw new Error('A folder can\'t be named __proto__');
+            folders[name] = KeyLayoutManager.validatePage(page);
+        }
+        // Folder keys need their folder to exist
+        for (const page of [bindings, ...Object.values(folders)]) {
+            for (const binding of Object.values(page)) {
+                if (binding.folder && !Object.hasOwn(folders, binding.folder)) {
+                    throw new Error(`No folder named "${binding.folder}"`);
+                }
+            }
+        }
+        // Version 1 layouts have no chords
+        const chords = (data.chords || []).map(chord => KeyLayoutManager.validateChord(chord));
+
+        this.bindings = bindings;
+        this.folders = folders;
+        this.chords = chords;
+        // The open folder may be gone
+        const leftFolder = this.path.some(folder => !Object.hasOwn(folders, folder));
+        if (leftFolder) this.path = [];
+        this.changed();
+        if (leftFolder) this.pageChanged();
+    }
+
+    /**
+     * @param {any} page Key index -> binding.
+     * @returns {Object<number, KeyBinding>}
+     * @throws {Error} If a key index or binding is invalid.
+     */
+    static validatePage(page) {
+        if (!page || typeof page !== 'object') {
+            throw new Error('Not a key layout page');
+        }
+        /** @type {Object<number, KeyBinding>} */
+        const bindings = {};
+        for (const [key, binding] of Object.entries(page)) {
+            const keyIndex = Number(key);
+            if (!Number.isInteger(keyIndex) || keyIndex < 0) {
+                throw new Error(`Invalid key index: ${key}`);
+            }
+            bindings[keyIndex] = KeyLayoutManager.validateBinding(binding);
+        }
+        return bindings;
+    }
+
+    load() {
+        const saved = localStorage.getItem(KeyLayoutManager.STORAGE_KEY);
+        if (saved) {
+            try {
+                const data = JSON.parse(saved);
+                this.hadManualActivity = KeyLayoutManager.marksManualActivity(data);
+                this.importJSON(data);
+                return;
+            } catch (e) {
+                console.warn('Ignoring invalid saved key layout:', e);
+            }
+        }
+        this.bindings = structuredClone(KeyLayoutManager.DEFAULT_BINDINGS);
+        this.folders = structuredClone(KeyLayoutManager.DEFAULT_FOLDERS);
+    }
+
+    save() {
+        localStorage.setItem(KeyLayoutManager.STORAGE_KEY, JSON.stringify(this.toJSON()));
+    }
+
+    changed() {
+        this.save();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    pageChanged() {
+        this.dispatchEvent(new Event('page'));
+    }
+}
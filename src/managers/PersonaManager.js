@@ -0,0 +1,144 @@
+/**
+ * @typedef {object} Persona
+ * @property {string} id
+ * @property {string} name
+ * @property {string} instruction System instruction sent at session setup.
+ * @property {string} voice Prebuilt voice name, e.g. 'Puck'.
+ * @property {string} model Model name. Empty means "whatever is selected".
+ * @property {number|null} temperature null leaves the model default.
+ */
+
+/**
+ * Named system-instruction presets, persisted to localStorage.
+ *
+ * Fires 'change' when the list is edited and 'select' when the active
+ * persona changes.
+ */
+export class PersonaManager extends EventTarget {
+    static STORAGE_KEY = 'personas';
+    static ACTIVE_KEY = 'active_persona';
+
+    /** @type {Persona[]} */
+    static DEFAULT_PERSONAS = [{
+        id: 'default',
+        name: 'Assistant',
+        instruction: 'You are a helpful voice assistant.',
+        voice: 'Puck',
+        model: '',
+        temperature: null
+    }];
+
+    constructor() {
+        super();
+        /** @type {Persona[]} */
+        this.personas = [];
+        this.activeId = null;
+        this.load();
+    }
+
+    /** @returns {Persona} */
+    get active() {
+        return this.personas.find(p => p.id === this.activeId) || this.personas[0];
+    }
+
+    /**
+     * @param {string} id
+     */
+    select(id) {
+        if (!this.personas.some(p => p.id === id) || id === this.activeId) return;
+        this.activeId = id;
+        this.save();
+        this.dispatchEvent(new Event('select'));
+    }
+
+    /**
+     * Make the next persona active, wrapping around.
+     * @returns {Persona}
+     */
+    next() {
+        const index = this.personas.indexOf(this.active);
+        this.select(this.personas[(index + 1) % this.personas.length].id);
+        return this.active;
+    }
+
+    /**
+     * Update the persona with the same id.
+     * @param {Persona} persona
+     */
+    update(persona) {
+        const index = this.personas.findIndex(p => p.id === persona.id);
+        if (index === -1) throw new Error(`Unknown persona: ${persona.id}`);
+        this.personas[index] = PersonaManager.normalize(persona);
+        this.changed();
+    }
+
+    /**
+     * Add a persona (copied from `base`) and make it active.
+     * @param {Partial<Persona>} base
+     * @returns {Persona}
+     */
+    create(base) {
+        const persona = PersonaManager.normalize({ ...base, id: crypto.randomUUID() });
+        this.personas.push(persona);
+        this.changed();
+        this.select(persona.id);
+        return persona;
+    }
+
+    /**
+     * Remove a persona. The last one can't be removed.
+     * @param {string} id
+     */
+    remove(id) {
+        if (this.personas.length <= 1) throw new Error('At least one persona is required');
+        const wasActive = id === this.active.id;
+        this.personas = this.personas.filter(p => p.id !== id);
+        this.changed();
+        if (wasActive) this.select(this.personas[0].id);
+    }
+
+    /**
+     * Fill in defaults and coerce types. Form values (e.g. a temperature
+     * string from an <input>) are accepted.
+     * @param {any} persona
+     * @returns {Persona}
+     */
+    static normalize(persona) {
+        const temperature = persona.temperature === null || persona.temperature === undefined || persona.temperature === ''
+            ? null
+            : Math.max(0, Math.min(2, Number(persona.temperature)));
+        return {
+            id: String(persona.id),
+            name: String(persona.name || 'Untitled').trim(),
+            instruction: String(persona.instruction || ''),
+            voice: String(persona.voice || 'Puck'),
+            model: String(persona.model || ''),
+            temperature: Number.isNaN(temperature) ? null : temperature
+        };
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PersonaManager.STORAGE_KEY));
+            if (Array.isArray(saved) && saved.length) {
+                this.personas = saved.map(p => PersonaManager.normalize(p));
+            }
+        } catch (e) {
+            console.warn('Ignoring invalid saved personas:', e);
+        }
+        if (!this.personas.length) {
+            this.personas = structuredClone(PersonaManager.DEFAULT_PERSONAS);
+        }
+        this.activeId = localStorage.getItem(PersonaManager.ACTIVE_KEY) || this.personas[0].id;
+    }
+
+    save() {
+        localStorage.setItem(PersonaManager.STORAGE_KEY, JSON.stringify(this.personas));
+        localStorage.setItem(PersonaManager.ACTIVE_KEY, this.active.id);
+    }
+
+    changed() {
+        this.save();
+        this.dispatchEvent(new Event('change'));
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * @typedef {object} Snippet
+ * @property {string} name Unique; 'snippet' keys refer to it.
+ * @property {string} text Sent as a typed user turn.
+ */
+
+/**
+ * Saved text snippets for typed turns, persisted to localStorage.
+ *
+ * Fires 'change' whenever a snippet is saved or removed.
+ */
+export class SnippetManager extends EventTarget {
+    static STORAGE_KEY = 'text_snippets';
+
+    constructor() {
+        super();
+        /** @type {Snippet[]} */
+        this.snippets = [];
+        this.load();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Snippet|null}
+     */
+    get(name) {
+        return this.snippets.find(s => s.name === name) || null;
+    }
+
+    /**
+     * Add a snippet, or replace the text of the one with the same name.
+     * @param {string} name
+     * @param {string} text
+     * @returns {Snippet}
+     */
+    save(name, text) {
+        const snippet = SnippetManager.normalize({ name, text });
+        if (!snippet.name) throw new Error('A snippet needs a name');
+        if (!snippet.text) throw new Error('A snippet needs text');
+
+        const index = this.snippets.findIndex(s => s.name === snippet.name);
+        if (index === -1) {
+            this.snippets.push(snippet);
+        } else {
+            this.snippets[index] = snippet;
+        }
+        this.changed();
+        return snippet;
+    }
+
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        const count = this.snippets.length;
+        this.snippets = this.snippets.filter(s => s.name !== name);
+        if (this.snippets.length !== count) this.changed();
+    }
+
+    /**
+     * @param {any} snippet
+     * @returns {Snippet}
+     */
+    static normalize(snippet) {
+        return {
+            name: String(snippet?.name || '').trim(),
+            text: String(snippet?.text || '').trim()
+        };
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SnippetManager.STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                this.snippets = saved.map(s => SnippetManager.normalize(s)).filter(s => s.name && s.text);
+            }
+        } catch (e) {
+            console.warn('Ignoring invalid saved snippets:', e);
+        }
+    }
+
+    changed() {
+        localStorage.setItem(SnippetManager.STORAGE_KEY, JSON.stringify(this.snippets));
+        this.dispatchEvent(new Event('change'));
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * @typedef {object} VideoOptions
+ * @property {number} frameRate Frames per second sent to Gemini.
+ * @property {number} maxSize Frames are downscaled so their longest side is at most this, in pixels.
+ * @property {number} quality JPEG quality, 0-1.
+ */
+
+/**
+ * Captures a screen share or webcam and turns it into downscaled JPEG
+ * frames at a fixed rate.
+ *
+ * Frames are only produced while `active` is set (the app ties this to the
+ * mic), so the model doesn't see, and bill, video nobody is talking about.
+ *
+ * Fires 'frame' (detail: ArrayBuffer of JPEG) and 'change' when capture
+ * starts, stops (including from the browser's own UI) or is paused.
+ */
+export class VideoManager extends EventTarget {
+    /** @type {VideoOptions} */
+    static DEFAULTS = {
+        frameRate: 1,
+        maxSize: 1024,
+        quality: 0.8,
+    };
+
+    constructor() {
+        super();
+        /** @type {MediaStream|null} */
+        this.stream = null;
+        /** @type {'screen'|'camera'|null} */
+        this.source = null;
+        /** Whether frames are sent. Capture can run without it so a share isn't re-prompted every turn. */
+        this.active = false;
+        /** Capture is kept but no frames are sent, e.g. toggled off from the deck, which can't restart a share. */
+        this.paused = false;
+        /** @type {VideoOptions} */
+        this.options = { ...VideoManager.DEFAULTS };
+        this.video = null;
+        this.canvas = null;
+        this.timer = null;
+        /** A frame is being encoded; skip ticks rather than queue them. */
+        this.capturing = false;
+    }
+
+    get isCapturing() {
+        return this.stream !== null;
+    }
+
+    /**
+     * @param {Partial<VideoOptions>} options Non-finite values are ignored.
+     */
+    configure(options) {
+        for (const [key, value] of Object.entries(options || {})) {
+            if (key in this.options && Number.isFinite(value) && value > 0) this.options[key] = value;
+        }
+        this.options.quality = Math.min(1, this.options.quality);
+        if (this.stream) this.startTimer();
+    }
+
+    /**
+     * Ask for a screen share or the webcam. Replaces any current capture.
+     * Screen sharing needs a user gesture, so it may be refused when started from the deck.
+     * @param {'screen'|'camera'} source
+     * @throws {Error} If the user or browser refuses.
+     */
+    async start(source) {
+        const stream = source === 'screen'
+            ? await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false })
+            : await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+
+        this.stop();
+        this.stream = stream;
+        this.source = source;
+        this.paused = false;
+        // Ending the share from the browser's own bar
+        stream.getVideoTracks()[0]?.addEventListener('ended', () => {
+            if (this.stream === stream) this.stop();
+        });
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = stream;
+        await this.video.play();
+
+        this.canvas = document.createElement('canvas');
+        this.startTimer();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!this.stream) return;
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.source = null;
+        if (this.video) this.video.srcObject = null;
+        this.video = null;
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * @param {boolean} active
+     */
+    setActive(active) {
+        this.active = active;
+    }
+
+    /**
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (!this.stream || paused === this.paused) return;
+        this.paused = paused;
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /** Capturing, and not paused. */
+    get isSharing() {
+        return this.isCapturing && !this.paused;
+    }
+
+    startTimer() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), 1000 / this.options.frameRate);
+    }
+
+    async tick() {
+        if (!this.active || !this.isSharing || this.capturing) return;
+        this.capturing = true;
+        try {
+            const frame = await this.captureFrame();
+            if (frame && this.active && this.isSharing) {
+                this.dispatchEvent(new CustomEvent('frame', { detail: frame }));
+            }
+        } catch (e) {
+            console.warn('Frame capture failed:', e);
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    /**
+     * Grab the current video frame, downscaled and JPEG-encoded.
+     * @returns {Promise<ArrayBuffer|null>} null if no frame is available yet.
+     */
+    async captureFrame() {
+        const { videoWidth, videoHeight } = this.video;
+        if (!videoWidth || !videoHeight) return null;
+
+        const { width, height } = VideoManager.fitWithin(videoWidth, videoHeight, this.options.maxSize);
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.getContext('2d').drawImage(this.video, 0, 0, width, height);
+
+        const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/jpeg', this.options.quality));
+        return blob ? blob.arrayBuffer() : null;
+    }
+
+    /**
+     * Scale dimensions down (never up) so neither side exceeds `max`, keeping the aspect ratio.
+     * @param {number} width
+     * @param {number} height
+     * @param {number} max
+     */
+    static fitWithin(width, height, max) {
+        const scale = Math.min(1, max / Math.max(width, height));
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+}
@@ -12,7 +12,23 @@
 
 import { GoogleGenAI } from "https://esm.run/@google/genai";
 
+/**
+ * @callback ToolHandler
+ * @param {object} args Arguments the model supplied, matching the declared schema.
+ * @param {{id: string, signal: AbortSignal}} context Aborted if the server cancels the call.
+ * @returns {Promise<any>|any} Sent back to the model as the function response.
+ */
+
+/**
+ * @typedef {object} ToolDefinition
+ * @property {string} description What the tool does. The model reads this to decide when to call it.
+ * @property {object} [parameters] JSON schema (OpenAPI subset) of the arguments.
+ */
+
 export class GeminiClient extends EventTarget {
+    /** Close codes the server uses for a bad key, model or config (policy violation, invalid argument). Retrying won't help. */
+    static FATAL_CLOSE_CODES = new Set([1007, 1008]);
+
     constructor() {
         super();
         this.client = null;
@@ -20,6 +36,46 @@ export class GeminiClient extends EventTarget {
         this.isConnected = false;
         this.model = 'gemini-2.5-flash-native-audio-preview-09-2025';
         this.silenceTimer = null;
+        /** @type {Map<string, {declaration: object, handler: ToolHandler}>} */
+        this.tools = new Map();
+        /** @type {Map<string, {name: string, controller: AbortController}>} In-flight tool calls by call id. */
+        this.pendingToolCalls = new Map();
+        this.config = {};
+        /** Newest session resumption handle from the server, if resumable. */
+        this.resumptionHandle = null;
+        this.intentionalClose = false;
+        this.sessionGeneration = 0;
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.maxReconnectAttempts = 8;
+        /** Whether this conversation has heard from the server. Until it has, a close means the setup was rejected. */
+        this.hasWorked = false;
+        /** @type {{attempt: number, resumed: boolean}|null} A reconnect whose new session hasn't heard from the server yet. */
+        this.pendingReconnect = null;
+        /** True between startActivity() and endActivity() in manual turn-taking mode. */
+        this.activityOpen = false;
+    }
+
+    /**
+     * Register a function the model may call. Declarations are sent when the
+     * session is set up, so register before connect().
+     * @param {string} name
+     * @param {ToolDefinition} definition
+     * @param {ToolHandler} handler
+     */
+    registerTool(name, definition, handler) {
+        const declaration = { name, description: definition.description };
+        if (definition.parameters) {
+            declaration.parameters = definition.parameters;
+        }
+        this.tools.set(name, { declaration, handler });
+    }
+
+    /**
+     * @param {string} name
+     */
+    unregisterTool(name) {
+        this.tools.delete(name);
     }
 
 
@@ -38,7 +94,7 @@ export class GeminiClient extends EventTarget {
             const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}&pageSize=200`);
             if (!response.ok) throw new Error(`Failed to fetch models: ${response.statusText}`);
             const data = await response.json();
-            const models =  data.models.filter(model => model.supportedGenerationMethods?.includes('bidiGenerateContent') && !model.name.includes('image') && !model.name.includes('preview-09-2025'));
+            const models =  data.models.filter(model => model.supportedGenerationMethods?.includes('bidiGenerateContent') && !model.name.includes('image'));
             return models || [];
         } catch (error) {
             console.error('Error fetching models:', error);
@@ -53,11 +109,29 @@ export class GeminiClient extends EventTarget {
      */
     async connect(apiKey, config = {}) {
         this.client = new GoogleGenAI({ apiKey: apiKey });
-        
+        this.config = config;
+        // A fresh connect() is a new conversation
+        this.resumptionHandle = null;
+        this.cancelReconnect();
+        this.reconnectAttempt = 0;
+        this.intentionalClose = false;
+        this.hasWorked = false;
+        this.pendingReconnect = null;
+        this.activityOpen = false;
+
         if (config.model) {
             this.model = config.model;
         }
 
+        await this.openSession();
+    }
+
+    /**
+     * Build the session config from the last connect() call.
+     * Includes the resumption handle when reconnecting.
+     */
+    buildSessionConfig() {
+        const config = this.config || {};
         const sessionConfig = {
             responseModalities: ["AUDIO"],
             speechConfig: {
@@ -69,38 +143,84 @@ export class GeminiClient extends EventTarget {
             },
             // Enable transcription with an empty object.
              inputAudioTranscription: { }, 
-             outputAudioTranscription: {  } 
+             outputAudioTranscription: {  },
+            // Ask for resumption handles so a dropped socket can pick up the same conversation.
+            sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : { }
         };
 
         if (config.systemInstruction) {
             sessionConfig.systemInstruction = config.systemInstruction;
         }
 
+        if (typeof config.temperature === 'number') {
+            sessionConfig.temperature = config.temperature;
+        }
+
+        // The client marks turns with activityStart/activityEnd instead of relying on server VAD
+        if (config.manualActivity) {
+            sessionConfig.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+        }
+
+        if (this.tools.size) {
+            sessionConfig.tools = [{
+                functionDeclarations: [...this.tools.values()].map(tool => tool.declaration)
+            }];
+        }
+
+        return sessionConfig;
+    }
+
+    async openSession() {
+        // Callbacks from a replaced session must not touch the current one
+        const generation = ++this.sessionGeneration;
+
         try {
             this.session = await this.client.live.connect({
                 model: this.model,
-                config: sessionConfig,
+                config: this.buildSessionConfig(),
                 callbacks: {
                     onopen: () => {
                         console.debug('Session Opened');
-                        this.isConnected = true;
+                        if (generation === this.sessionGeneration) this.isConnected = true;
                     },
                     onmessage: (message) => {
+                        if (generation !== this.sessionGeneration) return;
+                        this.hasWorked = true;
+                        if (this.pendingReconnect) this.confirmReconnect();
                         this.handleMessage(message);
                     },
                     onerror: (e) => {
                         console.error('Session Error:', e);
-                        this.dispatchEvent(new CustomEvent('error', { detail: e }));
+                        if (generation === this.sessionGeneration) {
+                            this.dispatchEvent(new CustomEvent('error', { detail: e }));
+                        }
                     },
                     onclose: (e) => {
                         console.log('Session Closed:', e.reason, e);
+                        if (generation !== this.sessionGeneration) return;
                         this.isConnected = false;
-                        this.dispatchEvent(new Event('close'));
+                        this.session = null;
+                        const unconfirmed = this.pendingReconnect;
+                        this.pendingReconnect = null;
+                        if (this.intentionalClose) {
+                            this.reconnectAttempt = 0;
+                            this.dispatchEvent(new Event('close'));
+                        } else if (!this.hasWorked || GeminiClient.FATAL_CLOSE_CODES.has(e.code)) {
+                            this.fail(e);
+                        } else {
+                            // Resumed, then closed before a word: the handle is probably stale
+                            if (unconfirmed?.resumed) this.resumptionHandle = null;
+                            this.scheduleReconnect();
+                        }
                     }
                 }
             });
             // The connect promise resolves when the session is established
             this.isConnected = true;
+            // A reconnect mid-utterance: the new socket needs to know the user is still talking
+            if (this.activityOpen) {
+                this.session.sendRealtimeInput({ activityStart: {} });
+            }
         } catch (error) {
             console.error('Connection failed:', error);
             this.isConnected = false;
@@ -108,6 +228,84 @@ export class GeminiClient extends EventTarget {
         }
     }
 
+    /**
+     * Retry with exponential backoff after a session that worked closed unexpectedly.
+     * Gives up (and emits 'close') after maxReconnectAttempts. An attempt only
+     * counts as reconnected once the new session hears from the server, so a
+     * server that accepts and then drops the socket still runs out of attempts.
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+            console.warn('Giving up reconnecting after', this.reconnectAttempt, 'attempts');
+            this.reconnectAttempt = 0;
+            this.dispatchEvent(new Event('close'));
+            return;
+        }
+
+        const attempt = ++this.reconnectAttempt;
+        const delayMs = Math.min(30000, 500 * 2 ** (attempt - 1)) * (0.8 + Math.random() * 0.4);
+        this.dispatchEvent(new CustomEvent('reconnecting', { detail: { attempt, delayMs, resuming: !!this.resumptionHandle } }));
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            const resumed = !!this.resumptionHandle;
+            try {
+                await this.openSession();
+            } catch (error) {
+                if (this.intentionalClose) return;
+                // If resuming keeps failing the handle is probably stale; start a new conversation instead
+                if (attempt > 1) this.resumptionHandle = null;
+                this.scheduleReconnect();
+                return;
+            }
+
+            // disconnect() was called while the socket was opening
+            if (this.intentionalClose) {
+                this.sessionGeneration++;
+                this.session.close();
+                this.session = null;
+                this.isConnected = false;
+                return;
+            }
+
+            this.pendingReconnect = { attempt, resumed };
+        }, delayMs);
+    }
+
+    /**
+     * The new session's first message arrived: the reconnect worked.
+     */
+    confirmReconnect() {
+        const { attempt, resumed } = this.pendingReconnect;
+        this.pendingReconnect = null;
+        this.reconnectAttempt = 0;
+        this.dispatchEvent(new CustomEvent('reconnected', { detail: { attempt, resumed } }));
+    }
+
+    /**
+     * The server refused the session. Report why and stop, rather than retrying.
+     * @param {CloseEvent} e
+     */
+    fail(e) {
+        this.cancelReconnect();
+        this.reconnectAttempt = 0;
+        this.dispatchEvent(new CustomEvent('error', {
+            detail: { message: `Session closed by the server: ${e.reason || `code ${e.code}`}`, code: e.code }
+        }));
+        this.dispatchEvent(new Event('close'));
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    get isReconnecting() {
+        return this.reconnectAttempt > 0;
+    }
+
     /**
      * Send PCM audio data.
      * @param {ArrayBuffer} pcmData 16-bit PCM, 16kHz, Mono
@@ -126,6 +324,21 @@ export class GeminiClient extends EventTarget {
         });
     }
 
+    /**
+     * Send a video frame (screen share or webcam).
+     * @param {ArrayBuffer} jpegData
+     */
+    sendVideo(jpegData) {
+        if (!this.isConnected || !this.session) return;
+
+        this.session.sendRealtimeInput({
+            video: {
+                data: this.arrayBufferToBase64(jpegData),
+                mimeType: 'image/jpeg'
+            }
+        });
+    }
+
     /**
      * Sends a sequence of silence packets to the model.
      * Useful for triggering VAD (Voice Activity Detection) end-of-speech
@@ -176,10 +389,59 @@ export class GeminiClient extends EventTarget {
         }
     }
 
+    /**
+     * Send a typed user turn into the live session. It interleaves with voice
+     * turns and the model replies in the session's voice.
+     * @param {string} text
+     * @returns {boolean} Whether it was sent.
+     */
+    sendText(text) {
+        if (!this.isConnected || !this.session || !text.trim()) return false;
+
+        this.session.sendClientContent({
+            turns: [{ role: 'user', parts: [{ text }] }],
+            turnComplete: true
+        });
+        return true;
+    }
+
+    /** Whether this session uses manual turn-taking (config.manualActivity). */
+    get manualActivity() {
+        return !!this.config?.manualActivity;
+    }
+
+    /**
+     * Mark the start of user speech. Only valid with manual turn-taking.
+     */
+    startActivity() {
+        if (!this.manualActivity || this.activityOpen) return;
+        this.activityOpen = true;
+        if (this.isConnected && this.session) {
+            this.session.sendRealtimeInput({ activityStart: {} });
+        }
+    }
+
+    /**
+     * Mark the end of user speech; the model responds immediately.
+     */
+    endActivity() {
+        if (!this.activityOpen) return;
+        this.activityOpen = false;
+        if (this.isConnected && this.session) {
+            this.session.sendRealtimeInput({ activityEnd: {} });
+        }
+    }
+
+    /**
+     * Send a typed turn (string) or a chunk of PCM audio (ArrayBuffer).
+     * @param {string|ArrayBuffer} data
+     * @returns {boolean} Whether it was sent.
+     */
     send(data) {
-        // Fallback for direct send if needed, but session.sendRealtimeInput should be used.
-        // This method might be called by legacy code if any.
-        console.warn('send() called but using SDK session. Use sendAudio() instead.');
+        if (typeof data === 'string') return this.sendText(data);
+        if (!this.isConnected || !this.session) return false;
+        this.sendAudio(data);
+        return true;
     }
 
     handleMessage(message) {
@@ -210,6 +472,11 @@ export class GeminiClient extends EventTarget {
                 }
             }
             
+            // The user barged in. Anything the model already sent is stale.
+            if (serverContent.interrupted) {
+                this.dispatchEvent(new Event('interrupted'));
+            }
+
             if (serverContent.turnComplete) {
                 this.dispatchEvent(new Event('turncomplete'));
             }
@@ -232,7 +499,29 @@ export class GeminiClient extends EventTarget {
             }
         }
         
-        // Handle tool calls/responses if any?
+        if (message.sessionResumptionUpdate) {
+            const { resumable, newHandle } = message.sessionResumptionUpdate;
+            if (resumable && newHandle) {
+                this.resumptionHandle = newHandle;
+            }
+        }
+
+        // The server is about to drop us. Reconnect now rather than waiting for the close.
+        if (message.goAway) {
+            console.log('Server sent goAway, time left:', message.goAway.timeLeft);
+            this.dispatchEvent(new CustomEvent('goaway', { detail: message.goAway }));
+            if (this.session) {
+                this.session.close();
+            }
+        }
+
+        if (message.toolCall) {
+            this.handleToolCall(message.toolCall);
+        }
+
+        if (message.toolCallCancellation) {
+            this.cancelToolCalls(message.toolCallCancellation.ids || []);
+        }
 
         // Handle Usage Metadata
         // It might be on the message object directly in some SDK versions
@@ -243,7 +532,74 @@ export class GeminiClient extends EventTarget {
         // console.log('Server Content:', serverContent);
     }
 
+    /**
+     * Run each requested function and send its result back.
+     * @param {{functionCalls?: Array<{id: string, name: string, args?: object}>}} toolCall
+     */
+    handleToolCall(toolCall) {
+        for (const call of toolCall.functionCalls || []) {
+            this.runToolCall(call);
+        }
+    }
+
+    /**
+     * @param {{id: string, name: string, args?: object}} call
+     */
+    async runToolCall({ id, name, args = {} }) {
+        const controller = new AbortController();
+        this.pendingToolCalls.set(id, { name, controller });
+        this.dispatchEvent(new CustomEvent('toolcall', { detail: { id, name, args } }));
+
+        let response;
+        const tool = this.tools.get(name);
+        if (!tool) {
+            response = { error: `Unknown function: ${name}` };
+        } else {
+            try {
+                const output = await tool.handler(args, { id, signal: controller.signal });
+                // The API expects an object; wrap primitives
+                response = (output && typeof output === 'object') ? output : { result: output ?? 'ok' };
+            } catch (error) {
+                console.error(`Tool ${name} failed:`, error);
+                response = { error: error.message || String(error) };
+            }
+        }
+
+        this.pendingToolCalls.delete(id);
+        // Cancelled calls must not be answered
+        if (controller.signal.aborted) return;
+
+        this.dispatchEvent(new CustomEvent('toolresult', { detail: { id, name, response } }));
+        if (!this.isConnected || !this.session) return;
+        this.session.sendToolResponse({
+            functionResponses: [{ id, name, response }]
+        });
+    }
+
+    /**
+     * @param {string[]} ids Call ids the server no longer wants answered.
+     */
+    cancelToolCalls(ids) {
+        for (const id of ids) {
+            const pending = this.pendingToolCalls.get(id);
+            if (!pending) continue;
+            pending.controller.abort();
+            this.pendingToolCalls.delete(id);
+            this.dispatchEvent(new CustomEvent('toolcancel', { detail: { id, name: pending.name } }));
+        }
+    }
+
     disconnect() {
+        this.cancelToolCalls([...this.pendingToolCalls.keys()]);
+        this.intentionalClose = true;
+        this.activityOpen = false;
+        this.resumptionHandle = null;
+        if (this.isReconnecting && !this.session) {
+            // No socket to close, so no onclose will fire
+            this.cancelReconnect();
+            this.reconnectAttempt = 0;
+            this.dispatchEvent(new Event('close'));
+        }
         if (this.session) {
             this.session.close();
             this.session = null;
@@ -0,0 +1,138 @@
+import { IconGenerator } from '../utils/icon-generator.js';
+
+/**
+ * @typedef {object} KeyVisual
+ * @property {string} type Glyph name.
+ * @property {string} state IconGenerator state.
+ * @property {import('../utils/icon-generator.js').IconOptions} options
+ */
+
+/**
+ * @callback DrawKey
+ * @param {number} keyIndex
+ * @param {{buffer: ArrayBuffer|null, blob: Blob}} icon
+ * @param {boolean} frame Whether this is an animation frame rather than a change of visual.
+ * @returns {Promise<void>|void}
+ */
+
+/**
+ * @typedef {object} KeyAnimatorSources
+ * @property {() => {input: number, output: number}} [levels] Live audio levels for keys with a meter.
+ * @property {() => boolean} [ready] Whether the device can take another frame. Animation
+ *     frames are skipped while it can't, so only the latest frame is sent once it catches up.
+ */
+
+/**
+ * Keeps each key's image in step with its visual: static visuals are drawn
+ * once when they change, animated ones are redrawn on a shared timer at
+ * FRAME_RATE. A frame is skipped while the previous one is still being
+ * written, so a slow device drops frames instead of queueing them.
+ */
+export class KeyAnimator {
+    /** Frames per second for animated keys; each frame is a full image write per key. */
+    static FRAME_RATE = 12;
+
+    /**
+     * @param {IconGenerator} iconGenerator
+     * @param {DrawKey} draw Pushes a rendered image to the device and preview.
+     * @param {KeyAnimatorSources} [sources]
+     */
+    constructor(iconGenerator, draw, { levels = () => ({ input: 0, output: 0 }), ready = () => true } = {}) {
+        this.iconGenerator = iconGenerator;
+        this.draw = draw;
+        this.levels = levels;
+        this.ready = ready;
+        /** @type {Map<number, KeyVisual & {signature: string}>} */
+        this.visuals = new Map();
+        this.timer = null;
+        this.busy = false;
+        this.startedAt = performance.now();
+    }
+
+    /**
+     * Show `visual` on a key. Nothing is redrawn if it's unchanged.
+     * @param {number} keyIndex
+     * @param {KeyVisual} visual
+     */
+    async set(keyIndex, { type, state, options }) {
+        const signature = JSON.stringify([type, state, options]);
+        if (this.visuals.get(keyIndex)?.signature === signature) return;
+
+        const entry = { type, state, options, signature };
+        this.visuals.set(keyIndex, entry);
+        await this.render(keyIndex, entry);
+
+        if (this.isAnimated(entry)) this.startTimer();
+    }
+
+    /**
+     * Forget a key (it was unbound). The caller clears the image.
+     * @param {number} keyIndex
+     */
+    delete(keyIndex) {
+        this.visuals.delete(keyIndex);
+    }
+
+    /**
+     * Redraw every key on the next set(), e.g. after the device was cleared or changed.
+     */
+    invalidate() {
+        for (const entry of this.visuals.values()) entry.signature = '';
+    }
+
+    /**
+     * @param {KeyVisual} entry
+     */
+    isAnimated(entry) {
+        return IconGenerator.isAnimated(entry.state, entry.options);
+    }
+
+    /** Seconds on the shared animation clock, so all keys pulse in step. */
+    get time() {
+        return (performance.now() - this.startedAt) / 1000;
+    }
+
+    /**
+     * @param {number} keyIndex
+     * @param {KeyVisual & {signature: string}} entry
+     * @param {boolean} [frame] Drawn by the animation timer.
+     */
+    async render(keyIndex, entry, frame = false) {
+        const options = { ...entry.options, time: this.time };
+        if (options.meter) options.levels = this.levels();
+        const icon = await this.iconGenerator.createIcon(entry.type, entry.state, options);
+        // Replaced while rendering; the newer visual draws itself
+        if (this.visuals.get(keyIndex) !== entry) return;
+        await this.draw(keyIndex, icon, frame);
+    }
+
+    startTimer() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), 1000 / KeyAnimator.FRAME_RATE);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        const animated = [...this.visuals].filter(([, entry]) => this.isAnimated(entry));
+        if (!animated.length) {
+            this.stop();
+            return;
+        }
+        if (this.busy || !this.ready()) return;
+
+        this.busy = true;
+        try {
+            for (const [keyIndex, entry] of animated) {
+                await this.render(keyIndex, entry, true);
+            }
+        } catch (e) {
+            console.warn('Key animation frame failed:', e);
+        } finally {
+            this.busy = false;
+        }
+    }
+}
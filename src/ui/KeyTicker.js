@@ -0,0 +1,208 @@
+import { StreamDeckV2 } from '../lib/streamdeckv2.js';
+
+/** @typedef {import('../lib/streamdeckv2.js').DeviceProfile} DeviceProfile */
+
+/**
+ * @callback DrawTile
+ * @param {number} keyIndex
+ * @param {OffscreenCanvas} canvas Key-sized and already oriented for the device.
+ * @returns {Promise<void>|void}
+ */
+
+/**
+ * @typedef {object} KeyTickerSources
+ * @property {() => boolean} [ready] Whether the device can take another frame.
+ * @property {() => void} [done] The text has scrolled off; the keys can show their icons again.
+ */
+
+/**
+ * Scrolls the latest transcription across a row of keys, like a news
+ * ticker. The row is drawn as one wide canvas and each key shows its slice.
+ *
+ * Text slides in from the right at a readable pace, faster while it's more
+ * than a row behind the speech. Once all of it has scrolled off, `done`
+ * hands the keys back.
+ */
+export class KeyTicker {
+    static FRAME_RATE = 12;
+
+    /** Scroll speed, in key widths per second, when not catching up. */
+    static KEYS_PER_SECOND = 1.5;
+
+    /** Only the latest text is kept; anything older scrolled off long ago. */
+    static MAX_CHARS = 300;
+
+    static COLORS = { model: '#4d9fff', user: '#44ff44' };
+
+    /**
+     * Keys of the top or bottom row, left to right.
+     * @param {DeviceProfile} profile
+     * @param {'top'|'bottom'} row
+     * @returns {number[]}
+     */
+    static rowKeys(profile, row) {
+        if (!profile.iconSize) return [];
+        const start = (row === 'top' ? 0 : profile.rows - 1) * profile.columns;
+        return Array.from({ length: profile.columns }, (_, i) => start + i);
+    }
+
+    /**
+     * @param {DrawTile} draw
+     * @param {KeyTickerSources} [sources]
+     */
+    constructor(draw, { ready = () => true, done = () => {} } = {}) {
+        this.draw = draw;
+        this.ready = ready;
+        this.done = done;
+        /** @type {number[]} */
+        this.keys = [];
+        /** @type {DeviceProfile|null} */
+        this.profile = null;
+        /** @type {string|null} Who's speaking; a new speaker starts a new line. */
+        this.role = null;
+        this.text = '';
+        /** How far the text's left edge has moved in from the row's right edge, in px. */
+        this.offset = 0;
+        this.lastFrame = 0;
+        this.timer = null;
+        this.busy = false;
+        /** @type {OffscreenCanvas|null} */
+        this.canvas = null;
+    }
+
+    get active() {
+        return this.timer !== null;
+    }
+
+    get size() {
+        return this.profile?.iconSize || 0;
+    }
+
+    get width() {
+        return this.size * this.keys.length;
+    }
+
+    /**
+     * Whether the ticker is drawing on a key, so its icon shouldn't be.
+     * @param {number} keyIndex
+     */
+    covers(keyIndex) {
+        return this.active && this.keys.includes(keyIndex);
+    }
+
+    /**
+     * Use another row or device. Stops any text in progress.
+     * @param {number[]} keys
+     * @param {DeviceProfile} profile
+     */
+    configure(keys, profile) {
+        this.clear();
+        this.keys = keys;
+        this.profile = profile;
+        this.canvas = this.width ? new OffscreenCanvas(this.width, this.size) : null;
+    }
+
+    /**
+     * Add transcribed text to the ticker.
+     * @param {string} role 'model' or 'user'.
+     * @param {string} text A chunk of the transcription.
+     */
+    push(role, text) {
+        if (!text || !this.canvas) return;
+        if (role !== this.role) {
+            this.role = role;
+            this.text = '';
+            this.offset = 0;
+        }
+
+        const full = this.text + text;
+        const dropped = full.slice(0, Math.max(0, full.length - KeyTicker.MAX_CHARS));
+        // Dropping text off the front would shift the rest; move the scroll position with it
+        if (dropped) this.offset -= this.measure(dropped);
+        this.text = full.slice(dropped.length);
+        this.start();
+    }
+
+    /**
+     * Drop the text and hand the keys back.
+     */
+    clear() {
+        const wasActive = this.active;
+        this.stop();
+        this.role = null;
+        this.text = '';
+        this.offset = 0;
+        if (wasActive) this.done();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastFrame = performance.now();
+        this.timer = setInterval(() => this.tick(), 1000 / KeyTicker.FRAME_RATE);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @param {string} text
+     */
+    measure(text) {
+        return this.context().measureText(text).width;
+    }
+
+    context() {
+        const ctx = this.canvas.getContext('2d');
+        ctx.font = `bold ${Math.round(this.size * 0.45)}px Arial`;
+        ctx.textBaseline = 'middle';
+        return ctx;
+    }
+
+    async tick() {
+        // Skipped frames still move the text on, by the time that passed
+        if (this.busy || !this.ready()) return;
+
+        const now = performance.now();
+        const elapsed = (now - this.lastFrame) / 1000;
+        this.lastFrame = now;
+
+        const textWidth = this.measure(this.text);
+        // Text still to come in from the right
+        const unread = Math.max(0, textWidth - this.offset);
+        const speed = this.size * KeyTicker.KEYS_PER_SECOND * Math.max(1, unread / this.width);
+        this.offset += speed * elapsed;
+
+        if (this.offset > this.width + textWidth) {
+            this.clear();
+            return;
+        }
+
+        this.busy = true;
+        try {
+            await this.render();
+        } catch (e) {
+            console.warn('Ticker frame failed:', e);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async render() {
+        const ctx = this.context();
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.width, this.size);
+        ctx.fillStyle = KeyTicker.COLORS[this.role] || '#ffffff';
+        ctx.fillText(this.text, this.width - this.offset, this.size / 2);
+
+        const size = this.size;
+        for (const [i, keyIndex] of this.keys.entries()) {
+            // Cleared mid-frame; the keys already have their icons back
+            if (!this.active) return;
+            const tile = new OffscreenCanvas(size, size);
+            tile.getContext('2d').drawImage(this.canvas, i * size, 0, size, size, 0, 0, size, size);
+            await this.draw(keyIndex, StreamDeckV2.orientCanvas(tile, this.profile));
+        }
+    }
+}
@@ -12,6 +12,9 @@ export class WaveformVisualizer {
         // History for "SoundCloud" style visualization
         // Stores RMS values (0.0 - 1.0)
         this.history = [];
+        // Parallel to history: true where the VAD held the audio back instead of sending it
+        this.gatedHistory = [];
+        this.isGated = false;
         this.maxHistoryLength = 2000; // Cap to prevent infinite memory growth, though visual will squeeze
         
         // Resize observer to handle responsive canvas
@@ -45,6 +48,14 @@ export class WaveformVisualizer {
         }
     }
 
+    /**
+     * Mark upcoming history as gated (captured but not sent) or sent.
+     * @param {boolean} isGated
+     */
+    setGated(isGated) {
+        this.isGated = isGated;
+    }
+
     /**
      * Manually inject silence into the visualization history.
      * @param {number} durationMs Duration of silence in milliseconds
@@ -60,10 +71,12 @@ export class WaveformVisualizer {
         }
     }
 
-    pushValue(rms) {
+    pushValue(rms, isGated = false) {
         this.history.push(rms);
+        this.gatedHistory.push(isGated);
         if (this.history.length > this.maxHistoryLength) {
             this.history.shift();
+            this.gatedHistory.shift();
         }
     }
 
@@ -127,7 +140,7 @@ export class WaveformVisualizer {
             
             // if (Math.random() < 0.05) console.log('[Visualizer] RMS:', rms); // Sample log
 
-            this.pushValue(rms);
+            this.pushValue(rms, this.isGated);
         }
 
         // If still no history after potential streaming update (e.g., just started and no sound)
@@ -146,9 +159,10 @@ export class WaveformVisualizer {
         // Calculate bar width to fit all bars in the canvas width
         const barWidth = width / totalBars;
         
-        this.ctx.fillStyle = '#4a90e2'; // Accent Color
-
         for (let i = 0; i < totalBars; i++) {
+            // Gated audio was heard but not sent
+            this.ctx.fillStyle = this.gatedHistory[i] ? '#555555' : '#4a90e2'; // Accent Color
+
             const rms = this.history[i];
             // Scale height. RMS is usually small (0.0-0.5), so we amplify it.
             // Cap at 1.0
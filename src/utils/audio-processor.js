@@ -1,9 +1,31 @@
+import { VoiceActivityDetector } from './vad.js';
+import { PolyphaseResampler } from './resampler.js';
+
 class AudioProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
-        this.bufferSize = 2048; // Send chunks of this size
+        this.bufferSize = 2048; // Send chunks of this size, at the target rate (128ms at 16kHz)
         this.buffer = new Float32Array(this.bufferSize);
         this.bufferIndex = 0;
+
+        // The context may not run at the rate Gemini expects (browsers can ignore the
+        // requested sampleRate, and some USB headsets force 48kHz), so resample to it.
+        this.targetSampleRate = options?.processorOptions?.targetSampleRate || 16000;
+        this.resampler = sampleRate === this.targetSampleRate
+            ? null
+            : new PolyphaseResampler(sampleRate, this.targetSampleRate);
+
+        // Optional VAD. Speech start/end is posted as {type: 'vad', speech} ahead of the
+        // audio chunk it applies to; the main thread decides what to gate.
+        this.vad = new VoiceActivityDetector(sampleRate);
+        this.vadEnabled = false;
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'vad-config') {
+                this.vadEnabled = event.data.enabled;
+                this.vad.configure(event.data.options);
+                this.vad.reset();
+            }
+        };
     }
 
     process(inputs, outputs, parameters) {
@@ -12,17 +34,18 @@ class AudioProcessor extends AudioWorkletProcessor {
 
         const channelData = input[0]; // Mono
 
-        // Simple downsampling and buffering
-        // Note: Ideally, we should use a proper resampling algorithm if the context sample rate 
-        // is different from the target (16kHz). For now, we assume the context is set to 16kHz 
-        // or we rely on the browser's native resampling if we requested 16kHz in getUserMedia 
-        // (though AudioContext usually runs at system rate).
-        
-        // If we need to downsample from 48k to 16k, we take every 3rd sample.
-        // But let's try to enforce 16kHz context first.
-        
-        for (let i = 0; i < channelData.length; i++) {
-            this.buffer[this.bufferIndex++] = channelData[i];
+        if (this.vadEnabled) {
+            const speech = this.vad.process(channelData);
+            if (speech !== null) {
+                this.port.postMessage({ type: 'vad', speech });
+            }
+        }
+
+        // Resample and buffer
+        const samples = this.resampler ? this.resampler.process(channelData) : channelData;
+
+        for (let i = 0; i < samples.length; i++) {
+            this.buffer[this.bufferIndex++] = samples[i];
 
             if (this.bufferIndex >= this.bufferSize) {
                 this.flush();
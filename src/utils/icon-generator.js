@@ -1,34 +1,229 @@
+import { StreamDeckV2 } from '../lib/streamdeckv2.js';
+import { GLYPH_PATHS } from './icon-glyphs.js';
+
+/** @typedef {import('../lib/streamdeckv2.js').DeviceProfile} DeviceProfile */
+
+/**
+ * @typedef {object} IconOptions
+ * @property {string|null} [badge] Short text drawn in an orange corner badge, e.g. a budget warning.
+ * @property {string} [label] Drawn under the glyph, truncated to fit.
+ * @property {boolean} [speaking] Draw a pulsing ring while the model talks.
+ * @property {boolean} [meter] Draw level bars: the mic on the left, the model on the right.
+ * @property {{input: number, output: number}} [levels] RMS (0-1) for the meter, read when the frame is drawn.
+ * @property {number} [time] Seconds, for animated states. Frames at the same time are identical.
+ */
+
+/**
+ * @typedef {object} IconState
+ * @property {string} background
+ * @property {string} foreground Glyph and label color.
+ * @property {'spin'|'flash'} [animation]
+ * @property {string} [accent] Spinner or border color.
+ */
+
+/**
+ * Draws key images: a vector glyph and label on a background that reflects
+ * the key's state, optionally animated. Each call renders one frame;
+ * KeyAnimator decides when to render and push them.
+ */
 export class IconGenerator {
+    /** @type {Object<string, IconState>} */
+    static STATES = {
+        idle: { background: '#333333', foreground: '#ffffff' },
+        active: { background: '#44ff44', foreground: '#000000' },
+        // Waiting for the first connection
+        connecting: { background: '#333333', foreground: '#ffffff', animation: 'spin', accent: '#4d9fff' },
+        // Connection trouble: yellow, per the spec
+        reconnecting: { background: '#e6b800', foreground: '#000000', animation: 'spin', accent: '#000000' },
+        error: { background: '#e6b800', foreground: '#000000', animation: 'flash' },
+        // Over the budget warning limit
+        warning: { background: '#333333', foreground: '#ffffff', accent: '#ff8800' },
+    };
+
+    /** Push-to-talk shows red while it's recording, per the spec. */
+    static MIC_ACTIVE = { background: '#ff4444', foreground: '#ffffff' };
+
+    static SPEAKING_COLOR = '#4d9fff';
+
+    /** Quietest level the meter shows, in dBFS. */
+    static METER_FLOOR_DB = -48;
+
+    /** @type {Map<string, Path2D>} */
+    static paths = new Map();
+
     constructor() {
         this.size = 72;
+        /** @type {DeviceProfile} Defaults to the V2 until a deck connects. */
+        this.profile = StreamDeckV2.getProfile(StreamDeckV2.PRODUCT_ID);
+    }
+
+    /**
+     * Render for the connected model's key size, orientation and image format.
+     * @param {DeviceProfile} profile
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.size = profile.iconSize || 72;
+    }
+
+    /**
+     * Whether the image changes over time, so it needs redrawing every frame.
+     * @param {string} state
+     * @param {IconOptions} [options]
+     */
+    static isAnimated(state, options = {}) {
+        return !!(IconGenerator.STATES[state]?.animation || options.speaking || options.meter);
+    }
+
+    /**
+     * Map an RMS level to meter height (0-1) on a dB scale, like a VU meter.
+     * @param {number} rms
+     */
+    static meterLevel(rms) {
+        if (!(rms > 0)) return 0;
+        const db = 20 * Math.log10(rms);
+        return Math.max(0, Math.min(1, 1 - db / IconGenerator.METER_FLOOR_DB));
     }
 
-    async createIcon(type, state) {
-        const canvas = new OffscreenCanvas(this.size, this.size);
+    /**
+     * @param {string} type Glyph name, see GLYPH_PATHS.
+     * @returns {Path2D|null}
+     */
+    static glyph(type) {
+        if (!(type in GLYPH_PATHS)) return null;
+        if (!IconGenerator.paths.has(type)) IconGenerator.paths.set(type, new Path2D(GLYPH_PATHS[type]));
+        return IconGenerator.paths.get(type);
+    }
+
+    /**
+     * @param {string} type Glyph name, see GLYPH_PATHS.
+     * @param {string} state One of STATES.
+     * @param {IconOptions} [options]
+     */
+    async createIcon(type, state, { badge = null, label = '', speaking = false, meter = false, levels = null, time = 0 } = {}) {
+        const size = this.size;
+        // Drawn upright; the device copy is oriented separately below
+        const canvas = new OffscreenCanvas(size, size);
         const ctx = canvas.getContext('2d');
 
-        // Stream Deck MK.2 often requires 180 degree rotation
-        ctx.translate(this.size, this.size);
-        ctx.rotate(Math.PI);
+        let look = IconGenerator.STATES[state] || IconGenerator.STATES.idle;
+        if (state === 'active' && type === 'mic') look = { ...look, ...IconGenerator.MIC_ACTIVE };
+
+        // Background, alternating with idle twice a second when flashing
+        const flashOff = look.animation === 'flash' && Math.floor(time * 2) % 2 === 1;
+        ctx.fillStyle = flashOff ? IconGenerator.STATES.idle.background : look.background;
+        ctx.fillRect(0, 0, size, size);
+        const foreground = flashOff ? IconGenerator.STATES.idle.foreground : look.foreground;
+
+        if (look.animation === 'spin') {
+            // A quarter arc going round once a second
+            const start = (time % 1) * Math.PI * 2;
+            ctx.strokeStyle = look.accent;
+            ctx.lineWidth = size * 0.06;
+            ctx.beginPath();
+            ctx.arc(size / 2, size / 2, size * 0.44, start, start + Math.PI / 2);
+            ctx.stroke();
+        } else if (look.accent) {
+            ctx.strokeStyle = look.accent;
+            ctx.lineWidth = size * 0.06;
+            ctx.strokeRect(ctx.lineWidth / 2, ctx.lineWidth / 2, size - ctx.lineWidth, size - ctx.lineWidth);
+        }
+
+        const centerY = label ? size * 0.42 : size / 2;
 
-        // Background
-        ctx.fillStyle = state === 'active' ? (type === 'mic' ? '#ff4444' : '#44ff44') : '#333333';
-        ctx.fillRect(0, 0, this.size, this.size);
+        if (speaking) {
+            // Breathes in and out about 1.5 times a second
+            const pulse = (Math.sin(time * Math.PI * 3) + 1) / 2;
+            ctx.strokeStyle = IconGenerator.SPEAKING_COLOR;
+            ctx.globalAlpha = 0.4 + 0.6 * pulse;
+            ctx.lineWidth = size * 0.04;
+            ctx.beginPath();
+            ctx.arc(size / 2, centerY, size * (0.28 + 0.06 * pulse), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+
+        // Glyph
+        const glyphSize = size * 0.4;
+        const path = IconGenerator.glyph(type);
+        ctx.fillStyle = foreground;
+        if (path) {
+            ctx.save();
+            ctx.translate(size / 2 - glyphSize / 2, centerY - glyphSize / 2);
+            ctx.scale(glyphSize / 24, glyphSize / 24);
+            ctx.fill(path);
+            ctx.restore();
+        }
+
+        if (meter && levels) {
+            this.drawMeter(ctx, 0, levels.input, foreground);
+            this.drawMeter(ctx, size - size * 0.1, levels.output, IconGenerator.SPEAKING_COLOR);
+        }
 
-        // Icon Style
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '30px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        
-        // Draw Icon (Simple Text for now)
-        const iconChar = type === 'mic' ? '🎤' : '💬';
-        ctx.fillText(iconChar, this.size / 2, this.size / 2);
+
+        if (label) {
+            ctx.font = `bold ${Math.round(size * 0.13)}px Arial`;
+            ctx.fillText(fitText(ctx, label, size - 6), size / 2, size * 0.84);
+        }
+
+        if (badge) {
+            const radius = size * 0.16;
+            const x = size - radius - 2;
+            const y = radius + 2;
+            ctx.fillStyle = '#ff8800';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#000000';
+            ctx.font = `bold ${Math.round(radius * 1.4)}px Arial`;
+            ctx.fillText(badge, x, y);
+        }
 
         const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
-        const buffer = await blob.arrayBuffer();
+
+        // Devices without displays (Pedal) only get the preview
+        let buffer = null;
+        if (this.profile.iconSize) {
+            const deviceCanvas = StreamDeckV2.orientCanvas(canvas, this.profile);
+            buffer = await StreamDeckV2.encodeImage(deviceCanvas, this.profile);
+        }
         
         // Return both buffer (for device) and blob (for UI)
         return { buffer, blob };
     }
+
+    /**
+     * One vertical level bar along a key edge, filled from the bottom.
+     * @param {OffscreenCanvasRenderingContext2D} ctx
+     * @param {number} x
+     * @param {number} rms
+     * @param {string} color
+     */
+    drawMeter(ctx, x, rms, color) {
+        const width = this.size * 0.1;
+        const height = this.size * 0.9;
+        const top = (this.size - height) / 2;
+        const filled = height * IconGenerator.meterLevel(rms);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fillRect(x, top, width, height);
+        ctx.fillStyle = color;
+        ctx.fillRect(x, top + height - filled, width, filled);
+    }
+}
+
+/**
+ * Truncate with an ellipsis until the text fits.
+ * @param {OffscreenCanvasRenderingContext2D} ctx With the font already set.
+ * @param {string} text
+ * @param {number} maxWidth
+ */
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
 }
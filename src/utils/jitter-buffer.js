@@ -0,0 +1,117 @@
+/**
+ * @typedef {object} JitterBufferOptions
+ * @property {number} initialDelay Seconds of audio to buffer before a stream starts playing.
+ * @property {number} minDelay Floor for the adaptive delay.
+ * @property {number} maxDelay Ceiling for the adaptive delay.
+ * @property {number} stepUp Seconds added to the delay after each underrun.
+ * @property {number} stepDown Seconds removed after each `decayAfter` seconds without one.
+ * @property {number} decayAfter
+ * @property {number} maxBuffered Chunks that would end further ahead than this are dropped (overrun).
+ */
+
+/**
+ * @typedef {object} PlaybackSlot
+ * @property {number} start Context time to start the chunk at.
+ * @property {boolean} gap The chunk doesn't continue the previous one, so it should fade in.
+ * @property {boolean} underrun The stream ran dry mid-turn before this chunk arrived.
+ * @property {boolean} dropped The chunk didn't fit (overrun) and shouldn't be played.
+ */
+
+/**
+ * Decides when each chunk of streamed audio plays. A stream starts after a
+ * short buffering delay; if it runs dry mid-stream (an underrun) the delay
+ * grows, and it shrinks back while playback stays smooth.
+ *
+ * Times are AudioContext seconds. Plain class so it can be tested without audio.
+ */
+export class JitterBuffer {
+    /** @type {JitterBufferOptions} */
+    static DEFAULTS = {
+        initialDelay: 0.08,
+        minDelay: 0.04,
+        maxDelay: 0.5,
+        stepUp: 0.04,
+        stepDown: 0.01,
+        decayAfter: 15,
+        maxBuffered: 60,
+    };
+
+    /**
+     * @param {Partial<JitterBufferOptions>} [options]
+     */
+    constructor(options = {}) {
+        /** @type {JitterBufferOptions} */
+        this.options = { ...JitterBuffer.DEFAULTS, ...options };
+        this.targetDelay = this.options.initialDelay;
+        this.underruns = 0;
+        this.overruns = 0;
+        this.lastAdjustment = 0;
+        this.reset();
+    }
+
+    /** Forget the queue, e.g. after playback was stopped. Counters and the learned delay are kept. */
+    reset() {
+        /** Context time at which the queued audio runs out. */
+        this.nextStart = 0;
+        /** Inside a model turn, where a gap means the network fell behind. */
+        this.streaming = false;
+    }
+
+    /**
+     * The current turn is complete, so the next gap is expected rather than an underrun.
+     */
+    endStream() {
+        this.streaming = false;
+    }
+
+    /**
+     * Seconds of audio queued ahead of `now`.
+     * @param {number} now
+     */
+    buffered(now) {
+        return Math.max(0, this.nextStart - now);
+    }
+
+    /**
+     * @param {number} now Current context time.
+     * @param {number} duration Chunk length in seconds.
+     * @returns {PlaybackSlot}
+     */
+    schedule(now, duration) {
+        const drained = this.nextStart <= now;
+        let underrun = false;
+
+        if (!drained && this.nextStart + duration - now > this.options.maxBuffered) {
+            this.overruns++;
+            return { start: this.nextStart, gap: false, underrun: false, dropped: true };
+        }
+
+        if (drained && this.streaming) {
+            underrun = true;
+            this.underruns++;
+            this.targetDelay = Math.min(this.options.maxDelay, this.targetDelay + this.options.stepUp);
+            this.lastAdjustment = now;
+        } else if (now - this.lastAdjustment > this.options.decayAfter) {
+            this.targetDelay = Math.max(this.options.minDelay, this.targetDelay - this.options.stepDown);
+            this.lastAdjustment = now;
+        }
+
+        // Starting from empty: buffer up before playing so the next chunk has time to arrive
+        const start = drained ? now + this.targetDelay : this.nextStart;
+        this.nextStart = start + duration;
+        this.streaming = true;
+        return { start, gap: drained, underrun, dropped: false };
+    }
+
+    /**
+     * @param {number} now
+     */
+    stats(now) {
+        return {
+            underruns: this.underruns,
+            overruns: this.overruns,
+            targetDelayMs: Math.round(this.targetDelay * 1000),
+            bufferedMs: Math.round(this.buffered(now) * 1000),
+        };
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Live API prices in USD per 1M tokens, by model. See pricing-deets.md.
+ * Keys are matched as prefixes of the model name (without the "models/" prefix).
+ */
+const MODEL_RATES = {
+    // Native audio
+    'gemini-2.5-flash-native-audio': {
+        PROMPT: { TEXT: 0.50, AUDIO: 3.00, IMAGE: 3.00, VIDEO: 3.00 },
+        RESPONSE: { TEXT: 2.00, AUDIO: 12.00 }
+    },
+    // Half-cascade, same price as native audio
+    'gemini-live-2.5-flash': {
+        PROMPT: { TEXT: 0.50, AUDIO: 3.00, IMAGE: 3.00, VIDEO: 3.00 },
+        RESPONSE: { TEXT: 2.00, AUDIO: 12.00 }
+    },
+    'gemini-2.0-flash': {
+        PROMPT: { TEXT: 0.35, AUDIO: 2.10, IMAGE: 2.10, VIDEO: 2.10 },
+        RESPONSE: { TEXT: 1.50, AUDIO: 8.50 }
+    }
+};
+
+const DEFAULT_RATES = MODEL_RATES['gemini-2.5-flash-native-audio'];
+
+/**
+ * @param {string} model Model name, with or without the "models/" prefix.
+ * @returns {{PROMPT: Object<string, number>, RESPONSE: Object<string, number>}}
+ */
+export function getRates(model) {
+    const name = (model || '').replace(/^models\//, '');
+    const key = Object.keys(MODEL_RATES).find(prefix => name.startsWith(prefix));
+    return key ? MODEL_RATES[key] : DEFAULT_RATES;
+}
+
+/**
+ * @typedef {object} CostRow
+ * @property {string} label 'Input' or 'Output'.
+ * @property {string} modality e.g. 'AUDIO'.
+ * @property {number} tokenCount
+ * @property {number} cost USD.
+ */
+
+/**
+ * Price one usageMetadata payload. Thinking tokens are billed as output
+ * text, and get a row of their own.
+ * @param {any} usage usageMetadata from the Live API.
+ * @param {string} model
+ * @returns {{rows: CostRow[], totalTokens: number, totalCost: number}}
+ */
+export function computeCost(usage, model) {
+    const rates = getRates(model);
+    const rows = [
+        ...(usage.promptTokensDetails || []).map(d => ({ label: 'Input', modality: d.modality, tokenCount: d.tokenCount || 0, rate: rates.PROMPT[d.modality] || 0 })),
+        ...(usage.responseTokensDetails || []).map(d => ({ label: 'Output', modality: d.modality, tokenCount: d.tokenCount || 0, rate: rates.RESPONSE[d.modality] || 0 })),
+        { label: 'Output', modality: 'THINKING', tokenCount: usage.thoughtsTokenCount || 0, rate: rates.RESPONSE.TEXT }
+    ].filter(d => d.tokenCount > 0)
+     .map(({ rate, ...d }) => ({ ...d, cost: (d.tokenCount / 1e6) * rate }));
+
+    return {
+        rows,
+        totalTokens: usage.totalTokenCount || rows.reduce((acc, row) => acc + row.tokenCount, 0),
+        totalCost: rows.reduce((acc, row) => acc + row.cost, 0)
+    };
+}
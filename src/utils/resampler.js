@@ -0,0 +1,115 @@
+/**
+ * Streaming rational-ratio resampler: a windowed-sinc low-pass filter split
+ * into polyphase branches, so each output sample costs one short dot product.
+ *
+ * State carries across process() calls, so consecutive chunks join without
+ * clicks. Plain class so it runs in the AudioWorklet too.
+ */
+export class PolyphaseResampler {
+    /**
+     * @param {number} inputRate
+     * @param {number} outputRate
+     * @param {number} [quality] Filter taps per input sample period. Higher is sharper and slower.
+     */
+    constructor(inputRate, outputRate, quality = 32) {
+        const divisor = gcd(Math.round(inputRate), Math.round(outputRate));
+        /** Upsampling factor. */
+        this.up = Math.round(outputRate) / divisor;
+        /** Downsampling factor. */
+        this.down = Math.round(inputRate) / divisor;
+
+        // When decimating, the filter must be longer to keep the same transition band relative to the output
+        this.tapsPerPhase = Math.ceil(quality * Math.max(1, this.down / this.up));
+        this.coefficients = PolyphaseResampler.designFilter(this.up, this.down, this.tapsPerPhase);
+        this.reset();
+    }
+
+    reset() {
+        /** Previous input samples the filter still needs. */
+        this.history = new Float32Array(this.tapsPerPhase - 1);
+        /** Input index of the next output, relative to the start of the next chunk. */
+        this.index = 0;
+        /** Polyphase branch of the next output. */
+        this.phase = 0;
+    }
+
+    /**
+     * Windowed-sinc low-pass at the upsampled rate, cut off just below the
+     * lower of the two Nyquist frequencies, arranged by phase.
+     * @param {number} up
+     * @param {number} down
+     * @param {number} tapsPerPhase
+     * @returns {Float32Array} Coefficient k of phase p is at [p * tapsPerPhase + k].
+     */
+    static designFilter(up, down, tapsPerPhase) {
+        const length = up * tapsPerPhase;
+        // Cycles per upsampled sample; 0.9 leaves room for the transition band
+        const cutoff = 0.9 * 0.5 / Math.max(up, down);
+        const center = (length - 1) / 2;
+
+        const prototype = new Float64Array(length);
+        let sum = 0;
+        for (let j = 0; j < length; j++) {
+            const x = j - center;
+            const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+            // Blackman window
+            const w = 0.42 - 0.5 * Math.cos(2 * Math.PI * j / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * j / (length - 1));
+            prototype[j] = sinc * w;
+            sum += prototype[j];
+        }
+
+        // Unity DC gain per phase: zero-stuffing divides the level by `up`
+        const coefficients = new Float32Array(length);
+        for (let phase = 0; phase < up; phase++) {
+            for (let k = 0; k < tapsPerPhase; k++) {
+                coefficients[phase * tapsPerPhase + k] = (prototype[phase + k * up] / sum) * up;
+            }
+        }
+        return coefficients;
+    }
+
+    /**
+     * @param {Float32Array} input
+     * @returns {Float32Array}
+     */
+    process(input) {
+        const taps = this.tapsPerPhase;
+        const historyLength = taps - 1;
+        const buffer = new Float32Array(historyLength + input.length);
+        buffer.set(this.history);
+        buffer.set(input, historyLength);
+
+        const output = new Float32Array(Math.ceil(((input.length - this.index) * this.up) / this.down) + 1);
+        let count = 0;
+        let index = this.index;
+        let phase = this.phase;
+
+        while (index < input.length) {
+            const offset = phase * taps;
+            const newest = historyLength + index;
+            let acc = 0;
+            for (let k = 0; k < taps; k++) {
+                acc += this.coefficients[offset + k] * buffer[newest - k];
+            }
+            output[count++] = acc;
+
+            phase += this.down;
+            index += Math.floor(phase / this.up);
+            phase %= this.up;
+        }
+
+        this.index = index - input.length;
+        this.phase = phase;
+        this.history = buffer.slice(buffer.length - historyLength);
+        return output.subarray(0, count);
+    }
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ */
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
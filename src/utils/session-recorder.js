@@ -0,0 +1,221 @@
+import { PolyphaseResampler } from './resampler.js';
+
+/**
+ * @typedef {object} RecordedChunk
+ * @property {number} start Seconds since recording started.
+ * @property {Int16Array} samples
+ */
+
+/**
+ * @typedef {object} RecordedTrack
+ * @property {number} sampleRate
+ * @property {RecordedChunk[]} chunks
+ * @property {number} end Seconds since recording started at which the last chunk ends.
+ */
+
+/**
+ * Chunks that start within this many seconds of the previous chunk's end are
+ * butted up against it. Timestamps come from message arrival times, so
+ * without this contiguous audio would pick up clicks from tiny gaps/overlaps.
+ */
+const SNAP_SECONDS = 0.05;
+
+/**
+ * Records the mic ('user') and model ('model') PCM of a session on a shared
+ * timeline and exports it as WAV.
+ */
+export class SessionRecorder {
+    /**
+     * @param {{user?: number, model?: number}} [sampleRates] Native rate of each track.
+     */
+    constructor(sampleRates = {}) {
+        this.startedAt = performance.now();
+        /** @type {{user: RecordedTrack, model: RecordedTrack}} */
+        this.tracks = {
+            user: { sampleRate: sampleRates.user || 16000, chunks: [], end: 0 },
+            model: { sampleRate: sampleRates.model || 24000, chunks: [], end: 0 },
+        };
+    }
+
+    /** Seconds since recording started. */
+    now() {
+        return (performance.now() - this.startedAt) / 1000;
+    }
+
+    /** Length of the recording in seconds. */
+    get duration() {
+        return Math.max(this.tracks.user.end, this.tracks.model.end);
+    }
+
+    /**
+     * @param {'user'|'model'} name
+     * @param {Int16Array} samples
+     * @param {number} start Seconds since recording started.
+     * @param {number} [sampleRate] Rate of these samples. Setting it on the first chunk overrides the track's rate.
+     */
+    addChunk(name, samples, start, sampleRate) {
+        const track = this.tracks[name];
+        if (sampleRate && !track.chunks.length) track.sampleRate = sampleRate;
+
+        start = Math.max(0, start);
+        if (Math.abs(start - track.end) < SNAP_SECONDS) start = track.end;
+
+        // Copy: callers may transfer or reuse the buffer
+        track.chunks.push({ start, samples: new Int16Array(samples) });
+        track.end = Math.max(track.end, start + samples.length / track.sampleRate);
+    }
+
+    /**
+     * Drop audio after `time`, e.g. model audio that was queued but cut off by an interruption.
+     * @param {'user'|'model'} name
+     * @param {number} time Seconds since recording started.
+     */
+    truncate(name, time) {
+        const track = this.tracks[name];
+        track.chunks = track.chunks.filter(chunk => chunk.start < time);
+        track.end = 0;
+        for (const chunk of track.chunks) {
+            const maxSamples = Math.round((time - chunk.start) * track.sampleRate);
+            if (chunk.samples.length > maxSamples) {
+                chunk.samples = chunk.samples.slice(0, maxSamples);
+            }
+            track.end = Math.max(track.end, chunk.start + chunk.samples.length / track.sampleRate);
+        }
+    }
+
+    /**
+     * Flatten a track into one buffer covering the whole recording.
+     * @param {'user'|'model'} name
+     * @param {number} [sampleRate] Output rate. Defaults to the track's own.
+     * @returns {Int16Array}
+     */
+    renderTrack(name, sampleRate) {
+        const track = this.tracks[name];
+        sampleRate = sampleRate || track.sampleRate;
+        const output = new Int16Array(Math.ceil(this.duration * sampleRate));
+
+        // Resample whole runs rather than chunk by chunk, which would click at every chunk edge
+        for (const run of contiguousRuns(track)) {
+            const samples = resample(run.samples, track.sampleRate, sampleRate);
+            const offset = Math.round(run.start * sampleRate);
+            for (let i = 0; i < samples.length && offset + i < output.length; i++) {
+                // Overlapping chunks mix rather than overwrite
+                output[offset + i] = Math.max(-32768, Math.min(32767, output[offset + i] + samples[i]));
+            }
+        }
+        return output;
+    }
+
+    /**
+     * User on the left channel, model on the right.
+     * @returns {Blob}
+     */
+    toStereoWAV() {
+        const sampleRate = Math.max(this.tracks.user.sampleRate, this.tracks.model.sampleRate);
+        return encodeWAV([this.renderTrack('user', sampleRate), this.renderTrack('model', sampleRate)], sampleRate);
+    }
+
+    /**
+     * One mono WAV per track, each at its native rate.
+     * @returns {{user: Blob, model: Blob}}
+     */
+    toSeparateWAVs() {
+        return {
+            user: encodeWAV([this.renderTrack('user')], this.tracks.user.sampleRate),
+            model: encodeWAV([this.renderTrack('model')], this.tracks.model.sampleRate),
+        };
+    }
+}
+
+/**
+ * Split a track's chunks into runs of back-to-back audio, each joined into one buffer.
+ * @param {RecordedTrack} track
+ * @returns {RecordedChunk[]}
+ */
+function contiguousRuns(track) {
+    /** @type {{start: number, end: number, parts: Int16Array[]}[]} */
+    const runs = [];
+    for (const chunk of track.chunks) {
+        const run = runs[runs.length - 1];
+        const end = chunk.start + chunk.samples.length / track.sampleRate;
+        // Snapped chunks start exactly where the previous one ended
+        if (run && Math.abs(chunk.start - run.end) < 1e-9) {
+            run.parts.push(chunk.samples);
+            run.end = end;
+        } else {
+            runs.push({ start: chunk.start, end, parts: [chunk.samples] });
+        }
+    }
+
+    return runs.map(({ start, parts }) => {
+        const samples = new Int16Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            samples.set(part, offset);
+            offset += part.length;
+        }
+        return { start, samples };
+    });
+}
+
+/**
+ * Resample a whole clip in one go. The end is padded so the filter's tail
+ * comes out, and its delay is dropped so the output lines up with the input.
+ * @param {Int16Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+    const resampler = new PolyphaseResampler(fromRate, toRate);
+    const delay = Math.round((resampler.up * resampler.tapsPerPhase - 1) / 2 / resampler.down);
+
+    const input = new Float32Array(samples.length + resampler.tapsPerPhase);
+    input.set(samples);
+    const output = resampler.process(input);
+    const length = Math.round(samples.length * toRate / fromRate);
+    return Int16Array.from(output.subarray(delay, delay + length), x => Math.max(-32768, Math.min(32767, Math.round(x))));
+}
+
+/**
+ * Encode 16-bit PCM channels (equal length) as a WAV file.
+ * @param {Int16Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+export function encodeWAV(channels, sampleRate) {
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const blockAlign = numChannels * 2;
+    const dataSize = numFrames * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < numFrames; frame++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            view.setInt16(offset, channels[channel][frame], true);
+            offset += 2;
+        }
+    }
+
+    return new Blob([view.buffer], { type: 'audio/wav' });
+}
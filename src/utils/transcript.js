@@ -0,0 +1,191 @@
+/**
+ * @typedef {object} TranscriptTurn
+ * @property {string} role 'user' or 'model'.
+ * @property {string} text
+ * @property {number} start Seconds since the session started, when the first fragment arrived.
+ * @property {number} end Seconds since the session started, when the last fragment arrived.
+ */
+
+/**
+ * @typedef {object} Cue
+ * @property {string} role
+ * @property {string} text
+ * @property {number} start
+ * @property {number} end
+ */
+
+/** Longest caption line before a turn is split across several cues. */
+const MAX_CUE_CHARS = 84;
+/** A cue is shown for at least this long, even if its text arrived in one fragment. */
+const MIN_CUE_SECONDS = 1.5;
+
+const LABELS = { user: 'User', model: 'Model' };
+
+/**
+ * The conversation as timed turns, built from streamed transcription
+ * fragments, with Markdown/JSON/SRT/WebVTT export.
+ *
+ * Times are measured with performance.now() so they can be aligned with a
+ * SessionRecorder recording.
+ */
+export class Transcript {
+    constructor() {
+        /** performance.now() at session start. */
+        this.origin = performance.now();
+        /** Epoch ms at session start. */
+        this.startedAt = Date.now();
+        /** @type {TranscriptTurn[]} */
+        this.turns = [];
+        this.turnOpen = false;
+    }
+
+    /** Seconds since the session started. */
+    now() {
+        return (performance.now() - this.origin) / 1000;
+    }
+
+    /**
+     * Add a fragment. Consecutive fragments from the same speaker extend the
+     * current turn until endTurn() is called.
+     * @param {string} role
+     * @param {string} text
+     * @param {number} [time] Seconds since session start. Defaults to now.
+     */
+    append(role, text, time = this.now()) {
+        const last = this.turns[this.turns.length - 1];
+        if (this.turnOpen && last && last.role === role) {
+            last.text += text;
+            last.end = time;
+        } else {
+            this.turns.push({ role, text, start: time, end: time });
+            this.turnOpen = true;
+        }
+    }
+
+    /** The next fragment starts a new turn, even from the same speaker. */
+    endTurn() {
+        this.turnOpen = false;
+    }
+
+    /**
+     * Caption cues, splitting long turns into lines of at most MAX_CUE_CHARS
+     * and spreading them over the turn's duration.
+     * @param {number} [offset] Seconds added to every time, e.g. to line up with a recording that started earlier.
+     * @returns {Cue[]}
+     */
+    cues(offset = 0) {
+        /** @type {Cue[]} */
+        const cues = [];
+        for (const turn of this.turns) {
+            const lines = splitLines(turn.text.trim(), MAX_CUE_CHARS);
+            if (!lines.length) continue;
+
+            const start = Math.max(0, turn.start + offset);
+            const duration = Math.max(turn.end - turn.start, MIN_CUE_SECONDS * lines.length);
+            const totalChars = lines.reduce((sum, line) => sum + line.length, 0);
+
+            let time = start;
+            for (const line of lines) {
+                const end = time + duration * (line.length / totalChars);
+                cues.push({ role: turn.role, text: line, start: time, end });
+                time = end;
+            }
+        }
+
+        // Turns can overlap (the user interrupting); captions shouldn't
+        for (let i = 0; i < cues.length - 1; i++) {
+            cues[i].end = Math.max(cues[i].start, Math.min(cues[i].end, cues[i + 1].start));
+        }
+        return cues;
+    }
+
+    toJSON() {
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            turns: this.turns.map(({ role, text, start, end }) => ({
+                role,
+                text: text.trim(),
+                start: round(start),
+                end: round(end)
+            }))
+        };
+    }
+
+    toMarkdown() {
+        const lines = [`# Conversation, ${new Date(this.startedAt).toLocaleString()}`, ''];
+        for (const turn of this.turns) {
+            lines.push(`**${LABELS[turn.role] || turn.role}** _(${formatTimestamp(turn.start, '.').slice(0, 8)})_`, '');
+            lines.push(turn.text.trim(), '');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {number} [offset] See cues().
+     */
+    toSRT(offset = 0) {
+        return this.cues(offset).map((cue, i) => [
+            i + 1,
+            `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+            `${LABELS[cue.role] || cue.role}: ${cue.text}`,
+            ''
+        ].join('\n')).join('\n');
+    }
+
+    /**
+     * @param {number} [offset] See cues().
+     */
+    toWebVTT(offset = 0) {
+        const cues = this.cues(offset).map(cue => [
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+            `<v ${LABELS[cue.role] || cue.role}>${escapeVTT(cue.text)}`,
+            ''
+        ].join('\n'));
+        return ['WEBVTT', '', ...cues].join('\n');
+    }
+}
+
+/**
+ * HH:MM:SS followed by `separator` and milliseconds.
+ * @param {number} seconds
+ * @param {string} separator ',' for SRT, '.' for WebVTT.
+ */
+export function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(Math.max(0, seconds) * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Word-wrap text into lines of at most `maxChars` (longer single words are kept whole).
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLines(text, maxChars) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/** @param {string} text */
+function escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** @param {number} seconds */
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
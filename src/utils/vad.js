@@ -0,0 +1,94 @@
+/**
+ * @typedef {object} VADOptions
+ * @property {number} threshold RMS level (0-1) a frame must reach to count as speech.
+ * @property {number} maxZeroCrossingRate Frames crossing zero more often than this (0-1)
+ *     are treated as noise (hiss, fans) rather than voice.
+ * @property {number} minSpeechMs Continuous speech needed before speech starts, so clicks don't trigger it.
+ * @property {number} hangoverMs Silence needed before speech ends, so pauses between words don't.
+ */
+
+/**
+ * Energy / zero-crossing voice activity detector with onset delay and
+ * hangover. Plain class so it runs in the AudioWorklet and in tests.
+ */
+export class VoiceActivityDetector {
+    /** @type {VADOptions} */
+    static DEFAULTS = {
+        threshold: 0.015,
+        maxZeroCrossingRate: 0.35,
+        minSpeechMs: 60,
+        hangoverMs: 700,
+    };
+
+    /**
+     * @param {number} sampleRate
+     * @param {Partial<VADOptions>} [options]
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        /** @type {VADOptions} */
+        this.options = { ...VoiceActivityDetector.DEFAULTS };
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * @param {Partial<VADOptions>} options
+     */
+    configure(options) {
+        for (const [key, value] of Object.entries(options || {})) {
+            if (key in this.options && Number.isFinite(value)) this.options[key] = value;
+        }
+    }
+
+    reset() {
+        this.speaking = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+    }
+
+    /**
+     * Whether a single frame looks like speech.
+     * @param {Float32Array} frame
+     */
+    isSpeechFrame(frame) {
+        if (!frame.length) return false;
+        let sum = 0;
+        let crossings = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sum += frame[i] * frame[i];
+            if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+        }
+        const rms = Math.sqrt(sum / frame.length);
+        const zeroCrossingRate = crossings / frame.length;
+        return rms >= this.options.threshold && zeroCrossingRate <= this.options.maxZeroCrossingRate;
+    }
+
+    /**
+     * Feed the next frame of samples.
+     * @param {Float32Array} frame
+     * @returns {boolean|null} The new state if speech just started (true) or ended (false), otherwise null.
+     */
+    process(frame) {
+        const frameMs = (frame.length / this.sampleRate) * 1000;
+
+        if (this.isSpeechFrame(frame)) {
+            this.silenceMs = 0;
+            this.speechMs += frameMs;
+            if (!this.speaking && this.speechMs >= this.options.minSpeechMs) {
+                this.speaking = true;
+                return true;
+            }
+        } else {
+            this.speechMs = 0;
+            if (this.speaking) {
+                this.silenceMs += frameMs;
+                if (this.silenceMs >= this.options.hangoverMs) {
+                    this.speaking = false;
+                    return false;
+                }
+            }
+        }
+        return null;
+    }
+}
@@ -10,9 +10,10 @@ describe('AudioManager', () => {
     let mockContextInstance;
 
     class MockAudioWorkletNode {
-        constructor(context, name) {
+        constructor(context, name, options) {
             this.context = context;
             this.name = name;
+            this.options = options;
             this.port = {
                 onmessage: null,
                 postMessage: (data) => {
@@ -56,18 +57,43 @@ describe('AudioManager', () => {
         createBufferSource() {
             return {
                 buffer: null,
+                stopped: false,
+                onended: null,
                 connect: () => {},
-                start: () => {}
+                start: () => {},
+                stop() { this.stopped = true; }
+            };
+        }
+
+        createGain() {
+            const events = [];
+            return {
+                events,
+                gain: {
+                    setValueAtTime: (value, time) => events.push(['set', value, time]),
+                    linearRampToValueAtTime: (value, time) => events.push(['ramp', value, time]),
+                    cancelScheduledValues: (time) => events.push(['cancel', time])
+                },
+                disconnected: false,
+                connect: () => {},
+                disconnect() { this.disconnected = true; }
             };
         }
 
         createBuffer(channels, length, rate) {
+            this.lastBuffer = { length, rate };
             return {
                 duration: length / rate,
+                sampleRate: rate,
                 getChannelData: () => new Float32Array(length)
             };
         }
         
+        setSinkId(sinkId) {
+            this.sinkId = sinkId;
+            return Promise.resolve();
+        }
+
         resume() {
             this.state = 'running';
             return Promise.resolve();
@@ -152,4 +178,223 @@ describe('AudioManager', () => {
         // Since we mock createBuffer, duration calculation logic depends on mock return
         // We can check if playAudio ran without error.
     });
+
+    it('should stop and drop queued playback on stopPlayback', async () => {
+        await audioManager.initialize();
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        audioManager.playAudio(new Int16Array(2400).buffer);
+
+        const sources = [...audioManager.activeSources];
+        const gains = [...audioManager.activeGains];
+        expect(sources.length).to.equal(2);
+        expect(audioManager.nextStartTime).to.be.greaterThan(0);
+
+        audioManager.stopPlayback();
+
+        expect(sources.every(s => s.stopped)).to.be.true;
+        expect(gains.every(g => g.disconnected)).to.be.true;
+        expect(audioManager.activeSources.size).to.equal(0);
+        expect(audioManager.activeGains.size).to.equal(0);
+        expect(audioManager.nextStartTime).to.equal(0);
+    });
+
+    it('should report an underrun when model audio runs dry mid-turn, but not between turns', async () => {
+        await audioManager.initialize();
+        const underruns = [];
+        audioManager.addEventListener('underrun', (e) => underruns.push(e.detail));
+
+        mockContextInstance.currentTime = 0;
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        mockContextInstance.currentTime = 1;
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        expect(underruns).to.have.length(1);
+        expect(underruns[0].underruns).to.equal(1);
+
+        audioManager.endPlaybackStream();
+        mockContextInstance.currentTime = 5;
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        expect(underruns).to.have.length(1);
+        expect(audioManager.playbackStats.underruns).to.equal(1);
+    });
+
+    it('should fade in after a gap and keep contiguous chunks at full volume', async () => {
+        await audioManager.initialize();
+        const gains = [];
+        const createGain = mockContextInstance.createGain.bind(mockContextInstance);
+        mockContextInstance.createGain = () => {
+            const gain = createGain();
+            gains.push(gain);
+            return gain;
+        };
+
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        audioManager.playAudio(new Int16Array(2400).buffer);
+
+        const [first, second] = gains;
+        // Starts from silence
+        expect(first.events[0][1]).to.equal(0);
+        // Its fade-out was cancelled once the second chunk followed on
+        const [, , , , cancel, hold] = first.events;
+        expect(cancel[0]).to.equal('cancel');
+        expect(hold[1]).to.equal(1);
+        expect(second.events[0]).to.deep.equal(['set', 1, first.events[0][2] + 0.1]);
+    });
+
+    it('should report levels only for the mic while streaming and the model while playing', async () => {
+        await audioManager.initialize();
+        const loud = { fftSize: 4, getByteTimeDomainData: (array) => array.set([255, 1, 255, 1]) };
+        audioManager.analyser = loud;
+        audioManager.outputAnalyser = loud;
+        expect(audioManager.levels).to.deep.equal({ input: 0, output: 0 });
+
+        audioManager.startStreaming();
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        const { input, output } = audioManager.levels;
+        expect(input).to.be.closeTo(127 / 128, 1e-9);
+        expect(output).to.be.closeTo(127 / 128, 1e-9);
+    });
+
+    it('should record mic input and model playback while recording', async () => {
+        await audioManager.initialize();
+        audioManager.startStreaming();
+        audioManager.startRecording();
+
+        audioManager.workletNode.port.postMessage(new Int16Array(1600).buffer);
+        audioManager.playAudio(new Int16Array(2400).buffer);
+
+        const recording = audioManager.stopRecording();
+        expect(audioManager.isRecording).to.be.false;
+        expect(recording.tracks.user.chunks).to.have.length(1);
+        expect(recording.tracks.model.chunks).to.have.length(1);
+        expect(recording.tracks.model.sampleRate).to.equal(24000);
+    });
+
+    it('should drop interrupted model audio from the recording', async () => {
+        await audioManager.initialize();
+        audioManager.startRecording();
+        mockContextInstance.currentTime = 0;
+        audioManager.playAudio(new Int16Array(24000).buffer);
+        audioManager.playAudio(new Int16Array(24000).buffer);
+
+        audioManager.stopPlayback();
+
+        // Both chunks were still queued (recording started just now), so at most a sliver survives
+        expect(audioManager.recorder.tracks.model.end).to.be.lessThan(0.1);
+    });
+
+    it('should gate input on the VAD and send pre-roll when speech starts', async () => {
+        await audioManager.initialize();
+        audioManager.setVAD(true, { hangoverMs: 300 });
+        audioManager.startStreaming(true);
+
+        const sent = [];
+        const events = [];
+        audioManager.addEventListener('audioinput', (e) => sent.push(e.detail));
+        audioManager.addEventListener('speechstart', () => events.push('start'));
+        audioManager.addEventListener('speechend', () => events.push('end'));
+
+        const port = audioManager.workletNode.port;
+        const chunks = [1, 2, 3].map(() => new Int16Array(2048).buffer);
+        chunks.forEach(chunk => port.postMessage(chunk));
+        expect(sent).to.be.empty;
+
+        port.postMessage({ type: 'vad', speech: true });
+        // Only the last PRE_ROLL_CHUNKS gated chunks are kept
+        expect(sent).to.deep.equal(chunks.slice(-AudioManager.PRE_ROLL_CHUNKS));
+
+        const live = new Int16Array(2048).buffer;
+        port.postMessage(live);
+        expect(sent[sent.length - 1]).to.equal(live);
+
+        port.postMessage({ type: 'vad', speech: false });
+        port.postMessage(new Int16Array(2048).buffer);
+        expect(sent.length).to.equal(AudioManager.PRE_ROLL_CHUNKS + 1);
+        expect(events).to.deep.equal(['start', 'end']);
+    });
+
+    it('should not gate when streaming without VAD (e.g. push-to-talk)', async () => {
+        await audioManager.initialize();
+        audioManager.setVAD(true);
+        audioManager.startStreaming();
+
+        let count = 0;
+        audioManager.addEventListener('audioinput', () => count++);
+        audioManager.workletNode.port.postMessage(new Int16Array(2048).buffer);
+        expect(count).to.equal(1);
+    });
+
+    it('should ask the worklet for 16kHz and resample playback when the context runs at 48kHz', async () => {
+        window.AudioContext = class extends MockAudioContext {
+            constructor(options) {
+                super(options);
+                this.sampleRate = 48000; // e.g. a USB headset that ignores the requested rate
+            }
+        };
+        await audioManager.initialize();
+        expect(audioManager.workletNode.options.processorOptions.targetSampleRate).to.equal(16000);
+
+        audioManager.playAudio(new Int16Array(2400).buffer);
+        const { length, rate } = mockContextInstance.lastBuffer;
+        expect(rate).to.equal(48000);
+        // 100ms either way, give or take the filter's state carried to the next chunk
+        expect(length).to.be.within(4790, 4801);
+    });
+
+    it('should apply a speaker chosen before initialize', async () => {
+        await audioManager.setOutputDevice('speaker-2');
+        await audioManager.initialize();
+        expect(audioManager.audioContext.sinkId).to.equal('speaker-2');
+    });
+
+    it('should switch speakers live and map "default" to the system output', async () => {
+        await audioManager.initialize();
+        await audioManager.setOutputDevice('speaker-3');
+        expect(audioManager.audioContext.sinkId).to.equal('speaker-3');
+        await audioManager.setOutputDevice('default');
+        expect(audioManager.audioContext.sinkId).to.equal('');
+    });
+
+    it('should move queued model audio to the new speaker when routing through an audio element', async () => {
+        const originalAudio = window.Audio;
+        window.Audio = class {
+            setSinkId(sinkId) { this.sinkId = sinkId; return Promise.resolve(); }
+            play() { return Promise.resolve(); }
+            pause() {}
+        };
+        const streamDestination = { stream: {} };
+        window.AudioContext = class extends MockAudioContext {
+            constructor(options) {
+                super(options);
+                this.setSinkId = undefined;
+                this.destination = { name: 'destination' };
+            }
+            createMediaStreamDestination() {
+                return streamDestination;
+            }
+            createGain() {
+                const gain = super.createGain();
+                gain.outputs = new Set();
+                gain.connect = (node) => gain.outputs.add(node);
+                gain.disconnect = (node) => node ? gain.outputs.delete(node) : gain.outputs.clear();
+                this.lastGain = gain;
+                return gain;
+            }
+        };
+        try {
+            await audioManager.setOutputDevice('speaker-2');
+            await audioManager.initialize();
+            expect(audioManager.outputElement.sinkId).to.equal('speaker-2');
+
+            audioManager.playAudio(new Int16Array(2400).buffer);
+            const gain = mockContextInstance.lastGain;
+            expect(gain.outputs.has(streamDestination)).to.be.true;
+
+            await audioManager.setOutputDevice('default');
+            expect(audioManager.outputElement).to.be.null;
+            expect(gain.outputs.has(streamDestination)).to.be.false;
+            expect(gain.outputs.has(mockContextInstance.destination)).to.be.true;
+        } finally {
+            window.Audio = originalAudio;
+        }
+    });
 });
@@ -0,0 +1,113 @@
+import { CostTracker } from '../src/managers/CostTracker.js';
+import { computeCost, getRates } from '../src/utils/pricing.js';
+
+const expect = chai.expect;
+
+const MODEL = 'models/gemini-2.5-flash-native-audio-preview-09-2025';
+
+/** 1M audio tokens in, 1M audio tokens out: $3 + $12 on native audio. */
+const usage = (scale = 1) => ({
+    totalTokenCount: 2e6 * scale,
+    promptTokensDetails: [{ modality: 'AUDIO', tokenCount: 1e6 * scale }],
+    responseTokensDetails: [{ modality: 'AUDIO', tokenCount: 1e6 * scale }]
+});
+
+describe('pricing', () => {
+    it('should pick rates by model prefix and fall back to native audio', () => {
+        expect(getRates('models/gemini-2.0-flash-live-001').RESPONSE.AUDIO).to.equal(8.5);
+        expect(getRates('gemini-live-2.5-flash-preview').RESPONSE.AUDIO).to.equal(12);
+        expect(getRates('something-new').RESPONSE.AUDIO).to.equal(12);
+    });
+
+    it('should price a usage payload', () => {
+        const { rows, totalTokens, totalCost } = computeCost(usage(), MODEL);
+        expect(rows).to.have.length(2);
+        expect(totalTokens).to.equal(2e6);
+        expect(totalCost).to.be.closeTo(15, 1e-9);
+    });
+
+    it('should bill thinking tokens at the output text rate', () => {
+        const { rows, totalCost } = computeCost({ ...usage(), thoughtsTokenCount: 1e6 }, MODEL);
+        expect(rows.find(row => row.modality === 'THINKING')).to.deep.equal({ label: 'Output', modality: 'THINKING', tokenCount: 1e6, cost: 2 });
+        expect(totalCost).to.be.closeTo(17, 1e-9);
+    });
+});
+
+describe('CostTracker', () => {
+    let tracker;
+    let now;
+
+    const clearStorage = () => {
+        localStorage.removeItem(CostTracker.DAILY_KEY);
+        localStorage.removeItem(CostTracker.BUDGET_KEY);
+    };
+
+    beforeEach(() => {
+        clearStorage();
+        now = new Date(2025, 0, 15, 12);
+        tracker = new CostTracker(() => now);
+    });
+
+    after(clearStorage);
+
+    it('should accumulate session and daily totals', () => {
+        tracker.add(usage(), MODEL);
+        tracker.add(usage(), MODEL);
+        expect(tracker.session.cost).to.be.closeTo(30, 1e-9);
+        expect(tracker.sessionRows.get('Output:AUDIO').tokenCount).to.equal(2e6);
+        expect(tracker.today.tokens).to.equal(4e6);
+
+        tracker.startSession();
+        tracker.add(usage(), MODEL);
+        expect(tracker.session.cost).to.be.closeTo(15, 1e-9);
+        expect(tracker.today.cost).to.be.closeTo(45, 1e-9);
+    });
+
+    it('should persist daily totals and roll over at midnight', () => {
+        tracker.add(usage(), MODEL);
+        const reloaded = new CostTracker(() => now);
+        expect(reloaded.today.cost).to.be.closeTo(15, 1e-9);
+
+        now = new Date(2025, 0, 16, 0, 5);
+        expect(reloaded.today.cost).to.equal(0);
+        expect(reloaded.daily['2025-01-15'].cost).to.be.closeTo(15, 1e-9);
+    });
+
+    it('should fire softlimit once and hardlimit on every add past the limit', () => {
+        tracker.setBudget({ soft: '20', hard: 40 });
+        const events = [];
+        tracker.addEventListener('softlimit', () => events.push('soft'));
+        tracker.addEventListener('hardlimit', () => events.push('hard'));
+
+        tracker.add(usage(), MODEL); // $15
+        expect(tracker.level).to.equal('ok');
+        tracker.add(usage(), MODEL); // $30
+        expect(tracker.level).to.equal('soft');
+        tracker.add(usage(), MODEL); // $45
+        tracker.add(usage(), MODEL); // $60
+        expect(tracker.level).to.equal('hard');
+        expect(events).to.deep.equal(['soft', 'hard', 'hard']);
+    });
+
+    it('should fire hardlimit when the limit is lowered below today\'s spend', () => {
+        tracker.add(usage(), MODEL); // $15
+        const events = [];
+        tracker.addEventListener('softlimit', () => events.push('soft'));
+        tracker.addEventListener('hardlimit', () => events.push('hard'));
+
+        tracker.setBudget({ soft: null, hard: 50 });
+        expect(events).to.deep.equal([]);
+        tracker.setBudget({ soft: null, hard: 10 });
+        expect(tracker.level).to.equal('hard');
+        expect(events).to.deep.equal(['soft', 'hard']);
+        tracker.add(usage(), MODEL);
+        expect(events).to.deep.equal(['soft', 'hard', 'hard']);
+    });
+
+    it('should treat empty or zero limits as disabled', () => {
+        tracker.setBudget({ soft: '', hard: 0 });
+        expect(tracker.budget).to.deep.equal({ soft: null, hard: null });
+        tracker.add(usage(10), MODEL);
+        expect(tracker.level).to.equal('ok');
+    });
+});
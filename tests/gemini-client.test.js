@@ -0,0 +1,304 @@
+import { GeminiClient } from '../src/network/GeminiClient.js';
+
+const expect = chai.expect;
+
+describe('GeminiClient', () => {
+    let client;
+    let session;
+
+    const fakeSession = () => ({
+        responses: [],
+        realtime: [],
+        closed: false,
+        sendToolResponse(response) { this.responses.push(response); },
+        sendRealtimeInput(input) { this.realtime.push(input); },
+        close() { this.closed = true; }
+    });
+
+    // Let pending handlers and their responses settle
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        client = new GeminiClient();
+        session = fakeSession();
+        client.session = session;
+        client.isConnected = true;
+    });
+
+    describe('Tools', () => {
+        it('should declare registered tools in the session config', () => {
+            client.registerTool('get_time', { description: 'Current time' }, () => '12:00');
+            client.registerTool('set_volume', {
+                description: 'Set the volume',
+                parameters: { type: 'object', properties: { level: { type: 'number' } } }
+            }, () => {});
+
+            const declarations = client.buildSessionConfig().tools[0].functionDeclarations;
+            expect(declarations).to.deep.equal([
+                { name: 'get_time', description: 'Current time' },
+                {
+                    name: 'set_volume',
+                    description: 'Set the volume',
+                    parameters: { type: 'object', properties: { level: { type: 'number' } } }
+                }
+            ]);
+
+            client.unregisterTool('get_time');
+            client.unregisterTool('set_volume');
+            expect(client.buildSessionConfig().tools).to.be.undefined;
+        });
+
+        it('should run a tool call and send its result back', async () => {
+            const calls = [];
+            client.registerTool('set_volume', { description: 'Set the volume' }, (args, { id }) => {
+                calls.push({ args, id });
+                return { volume: args.level };
+            });
+            const events = [];
+            client.addEventListener('toolcall', (e) => events.push(['toolcall', /** @type {CustomEvent} */ (e).detail.name]));
+            client.addEventListener('toolresult', (e) => events.push(['toolresult', /** @type {CustomEvent} */ (e).detail.response]));
+
+            client.handleMessage({ toolCall: { functionCalls: [{ id: 'c1', name: 'set_volume', args: { level: 3 } }] } });
+            await flush();
+
+            expect(calls).to.deep.equal([{ args: { level: 3 }, id: 'c1' }]);
+            expect(session.responses).to.deep.equal([
+                { functionResponses: [{ id: 'c1', name: 'set_volume', response: { volume: 3 } }] }
+            ]);
+            expect(events).to.deep.equal([['toolcall', 'set_volume'], ['toolresult', { volume: 3 }]]);
+            expect(client.pendingToolCalls.size).to.equal(0);
+        });
+
+        it('should wrap results that are not objects', async () => {
+            client.registerTool('get_time', { description: 'Current time' }, () => '12:00');
+            client.registerTool('beep', { description: 'Beep' }, () => undefined);
+
+            client.handleMessage({ toolCall: { functionCalls: [{ id: 'c1', name: 'get_time' }, { id: 'c2', name: 'beep' }] } });
+            await flush();
+
+            expect(session.responses.map(r => r.functionResponses[0].response)).to.deep.equal([
+                { result: '12:00' },
+                { result: 'ok' }
+            ]);
+        });
+
+        it('should answer unknown functions and failing handlers with an error', async () => {
+            client.registerTool('explode', { description: 'Fails' }, async () => {
+                throw new Error('Boom');
+            });
+
+            client.handleMessage({ toolCall: { functionCalls: [{ id: 'c1', name: 'missing' }, { id: 'c2', name: 'explode' }] } });
+            await flush();
+
+            expect(session.responses.map(r => r.functionResponses[0])).to.deep.equal([
+                { id: 'c1', name: 'missing', response: { error: 'Unknown function: missing' } },
+                { id: 'c2', name: 'explode', response: { error: 'Boom' } }
+            ]);
+        });
+
+        it('should abort cancelled calls and not answer them', async () => {
+            /** @type {AbortSignal} */
+            let signal;
+            client.registerTool('slow', { description: 'Takes a while' }, (args, context) => {
+                signal = context.signal;
+                return new Promise(resolve => context.signal.addEventListener('abort', () => resolve('late')));
+            });
+            const cancelled = [];
+            client.addEventListener('toolcancel', (e) => cancelled.push(/** @type {CustomEvent} */ (e).detail));
+
+            client.handleMessage({ toolCall: { functionCalls: [{ id: 'c1', name: 'slow' }] } });
+            expect(client.pendingToolCalls.has('c1')).to.be.true;
+
+            client.handleMessage({ toolCallCancellation: { ids: ['c1', 'unknown'] } });
+            await flush();
+
+            expect(signal.aborted).to.be.true;
+            expect(cancelled).to.deep.equal([{ id: 'c1', name: 'slow' }]);
+            expect(session.responses).to.deep.equal([]);
+            expect(client.pendingToolCalls.size).to.equal(0);
+        });
+
+        it('should cancel calls still running on disconnect', async () => {
+            /** @type {AbortSignal} */
+            let signal;
+            client.registerTool('slow', { description: 'Takes a while' }, (args, context) => {
+                signal = context.signal;
+                return new Promise(() => {});
+            });
+
+            client.handleMessage({ toolCall: { functionCalls: [{ id: 'c1', name: 'slow' }] } });
+            client.disconnect();
+
+            expect(signal.aborted).to.be.true;
+            expect(session.closed).to.be.true;
+            expect(client.pendingToolCalls.size).to.equal(0);
+        });
+    });
+
+    describe('Reconnecting', () => {
+        /** @type {Array<object>} Callbacks of each session opened, oldest first. */
+        let opened;
+
+        beforeEach(() => {
+            opened = [];
+            client.session = null;
+            client.isConnected = false;
+            client.client = /** @type {any} */ ({
+                live: {
+                    connect: async ({ callbacks }) => {
+                        opened.push(callbacks);
+                        return fakeSession();
+                    }
+                }
+            });
+        });
+
+        afterEach(() => {
+            client.cancelReconnect();
+        });
+
+        const record = (types) => {
+            const events = [];
+            for (const type of types) {
+                client.addEventListener(type, (e) => events.push([type, /** @type {CustomEvent} */ (e).detail]));
+            }
+            return events;
+        };
+
+        it('should back off exponentially and give up after maxReconnectAttempts', () => {
+            const events = record(['reconnecting', 'close']);
+            for (let i = 0; i <= client.maxReconnectAttempts; i++) {
+                client.scheduleReconnect();
+                client.cancelReconnect();
+            }
+
+            const delays = events.filter(([type]) => type === 'reconnecting').map(([, detail]) => detail.delayMs);
+            expect(delays.length).to.equal(client.maxReconnectAttempts);
+            delays.forEach((delay, i) => {
+                const base = Math.min(30000, 500 * 2 ** i);
+                expect(delay).to.be.within(base * 0.8, base * 1.2);
+            });
+            expect(events[events.length - 1][0]).to.equal('close');
+            expect(client.isReconnecting).to.be.false;
+        });
+
+        it('should ignore callbacks from a replaced session', async () => {
+            const messages = [];
+            client.handleMessage = (message) => messages.push(message);
+            const events = record(['close', 'error', 'reconnecting']);
+
+            await client.openSession();
+            await client.openSession();
+            const [stale, current] = opened;
+
+            stale.onmessage({ setupComplete: {} });
+            stale.onerror(new Error('stale'));
+            stale.onclose({ code: 1006, reason: '' });
+            expect(messages).to.deep.equal([]);
+            expect(events).to.deep.equal([]);
+            expect(client.isConnected).to.be.true;
+
+            current.onmessage({ setupComplete: {} });
+            expect(messages).to.deep.equal([{ setupComplete: {} }]);
+        });
+
+        it('should fail instead of reconnecting when the setup is rejected', async () => {
+            const events = record(['close', 'error', 'reconnecting']);
+            await client.openSession();
+            opened[0].onclose({ code: 1011, reason: 'Internal error' });
+
+            expect(events.map(([type]) => type)).to.deep.equal(['error', 'close']);
+            expect(events[0][1].message).to.equal('Session closed by the server: Internal error');
+            expect(client.reconnectTimer).to.be.null;
+        });
+
+        it('should not retry policy or invalid-argument closes', async () => {
+            for (const code of [1007, 1008]) {
+                const events = record(['close', 'reconnecting']);
+                await client.openSession();
+                opened[opened.length - 1].onmessage({ setupComplete: {} });
+                opened[opened.length - 1].onclose({ code, reason: '' });
+                expect(events.map(([type]) => type)).to.deep.equal(['close']);
+                expect(client.isReconnecting).to.be.false;
+            }
+        });
+
+        it('should reconnect once a session has worked', async () => {
+            const events = record(['close', 'reconnecting']);
+            await client.openSession();
+            opened[0].onmessage({ setupComplete: {} });
+            opened[0].onclose({ code: 1006, reason: '' });
+
+            expect(events.map(([type]) => type)).to.deep.equal(['reconnecting']);
+            expect(client.isReconnecting).to.be.true;
+            expect(client.reconnectTimer).to.not.be.null;
+        });
+
+        it('should stop a pending reconnect on disconnect', async () => {
+            await client.openSession();
+            opened[0].onmessage({ setupComplete: {} });
+            opened[0].onclose({ code: 1006, reason: '' });
+            const events = record(['close']);
+
+            client.disconnect();
+
+            expect(events.length).to.equal(1);
+            expect(client.reconnectTimer).to.be.null;
+            expect(client.isReconnecting).to.be.false;
+            expect(opened.length).to.equal(1);
+        });
+
+        describe('without backoff delays', () => {
+            const originalSetTimeout = window.setTimeout;
+
+            beforeEach(() => {
+                window.setTimeout = /** @type {any} */ ((fn) => originalSetTimeout(fn, 0));
+            });
+
+            afterEach(() => {
+                window.setTimeout = originalSetTimeout;
+            });
+
+            const next = (type) => new Promise(resolve => client.addEventListener(type, resolve, { once: true }));
+
+            it('should report reconnected only once the new session hears from the server', async () => {
+                const events = record(['reconnected']);
+                await client.openSession();
+                opened[0].onmessage({ setupComplete: {} });
+                opened[0].onclose({ code: 1006, reason: '' });
+
+                while (opened.length < 2) await new Promise(resolve => originalSetTimeout(resolve, 0));
+                await new Promise(resolve => originalSetTimeout(resolve, 0));
+                expect(events).to.deep.equal([]);
+                expect(client.isReconnecting).to.be.true;
+
+                opened[1].onmessage({ setupComplete: {} });
+                expect(events).to.deep.equal([['reconnected', { attempt: 1, resumed: false }]]);
+                expect(client.isReconnecting).to.be.false;
+            });
+
+            it('should give up on a server that accepts and then closes at once', async () => {
+                // Every session after the first closes before saying anything
+                const connect = client.client.live.connect;
+                client.client.live.connect = async (params) => {
+                    const session = await connect(params);
+                    if (opened.length > 1) originalSetTimeout(() => params.callbacks.onclose({ code: 1006, reason: '' }), 0);
+                    return session;
+                };
+                const events = record(['reconnected']);
+                await client.openSession();
+                opened[0].onmessage({ sessionResumptionUpdate: { resumable: true, newHandle: 'stale' } });
+                expect(client.resumptionHandle).to.equal('stale');
+
+                const closed = next('close');
+                opened[0].onclose({ code: 1006, reason: '' });
+                await closed;
+
+                expect(opened.length).to.equal(1 + client.maxReconnectAttempts);
+                expect(events).to.deep.equal([]);
+                expect(client.resumptionHandle).to.be.null;
+                expect(client.isReconnecting).to.be.false;
+            });
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { GestureRecognizer } from '../src/input/GestureRecognizer.js';
+
+const expect = chai.expect;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('GestureRecognizer', () => {
+    let gestures;
+    let recognizer;
+    let chords;
+    let events;
+
+    beforeEach(() => {
+        gestures = {};
+        chords = [];
+        events = [];
+        recognizer = new GestureRecognizer({ gesturesFor: (keyIndex) => gestures[keyIndex], chords: () => chords });
+        recognizer.configure({ longPressMs: 60, doubleTapMs: 40, chordMs: 30 });
+        for (const type of ['press', 'tap', 'doubletap', 'longpress', 'chord']) {
+            recognizer.addEventListener(type, (e) => events.push([type, /** @type {CustomEvent} */ (e).detail]));
+        }
+    });
+
+    it('should pass plain keys straight through', () => {
+        recognizer.press(0, true);
+        recognizer.press(0, true);
+        recognizer.press(0, false);
+        expect(events).to.deep.equal([
+            ['press', { keyIndex: 0, isDown: true }],
+            ['press', { keyIndex: 0, isDown: false }]
+        ]);
+    });
+
+    it('should tap on release when the key only has a long press', () => {
+        gestures[2] = { longPress: true };
+        recognizer.press(2, true);
+        recognizer.press(2, false);
+        expect(events).to.deep.equal([['tap', { keyIndex: 2 }]]);
+    });
+
+    it('should long press once the threshold passes, and not tap on release', async () => {
+        gestures[2] = { longPress: true };
+        recognizer.press(2, true);
+        await wait(90);
+        recognizer.press(2, false);
+        expect(events).to.deep.equal([['longpress', { keyIndex: 2 }]]);
+    });
+
+    it('should tell a double tap from a single tap', async () => {
+        gestures[1] = { doubleTap: true };
+        recognizer.press(1, true);
+        recognizer.press(1, false);
+        recognizer.press(1, true);
+        recognizer.press(1, false);
+        expect(events).to.deep.equal([['doubletap', { keyIndex: 1 }]]);
+
+        events = [];
+        recognizer.press(1, true);
+        recognizer.press(1, false);
+        expect(events).to.be.empty;
+        await wait(60);
+        expect(events).to.deep.equal([['tap', { keyIndex: 1 }]]);
+    });
+
+    it('should fire a chord when its keys go down together', () => {
+        chords = [[0, 3]];
+        recognizer.press(3, true);
+        recognizer.press(0, true);
+        recognizer.press(0, false);
+        recognizer.press(3, false);
+        expect(events).to.deep.equal([['chord', { keys: [0, 3] }]]);
+    });
+
+    it('should fall back to a normal press when the rest of the chord never comes', async () => {
+        chords = [[0, 3]];
+        recognizer.press(0, true);
+        expect(events).to.be.empty;
+        await wait(50);
+        expect(events).to.deep.equal([['press', { keyIndex: 0, isDown: true }]]);
+        recognizer.press(0, false);
+        expect(events[1]).to.deep.equal(['press', { keyIndex: 0, isDown: false }]);
+    });
+
+    it('should play a quick tap on a chord key in full', () => {
+        chords = [[0, 3]];
+        recognizer.press(3, true);
+        recognizer.press(3, false);
+        expect(events).to.deep.equal([
+            ['press', { keyIndex: 3, isDown: true }],
+            ['press', { keyIndex: 3, isDown: false }]
+        ]);
+    });
+});
@@ -0,0 +1,69 @@
+import { HistoryManager } from '../src/managers/HistoryManager.js';
+
+const expect = chai.expect;
+
+describe('HistoryManager', () => {
+    const DB_NAME = 'streamdeck-gemini-history-test';
+    let history;
+
+    const session = (id, startedAt, turns) => ({
+        id,
+        startedAt,
+        endedAt: startedAt + 60000,
+        model: 'models/gemini-2.5-flash-native-audio-preview-09-2025',
+        voice: 'Puck',
+        turns,
+        usage: { totalTokenCount: 1234 }
+    });
+
+    const deleteDatabase = () => new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = resolve;
+        request.onerror = reject;
+    });
+
+    beforeEach(() => {
+        history = new HistoryManager(DB_NAME);
+    });
+
+    afterEach(async () => {
+        await history.close();
+        await deleteDatabase();
+    });
+
+    it('should save and load a session', async () => {
+        await history.save(session('a', 1000, [{ role: 'user', text: 'Hello' }]));
+        const loaded = await history.get('a');
+        expect(loaded.turns[0].text).to.equal('Hello');
+        expect(loaded.usage.totalTokenCount).to.equal(1234);
+    });
+
+    it('should list sessions newest first', async () => {
+        await history.save(session('old', 1000, []));
+        await history.save(session('new', 2000, []));
+        const sessions = await history.list();
+        expect(sessions.map(s => s.id)).to.deep.equal(['new', 'old']);
+    });
+
+    it('should search transcripts case-insensitively for all terms', async () => {
+        await history.save(session('weather', 1000, [
+            { role: 'user', text: 'What is the weather in Paris?' },
+            { role: 'model', text: 'It is sunny.' }
+        ]));
+        await history.save(session('recipe', 2000, [{ role: 'user', text: 'How do I bake bread?' }]));
+
+        expect((await history.search('PARIS sunny')).map(s => s.id)).to.deep.equal(['weather']);
+        expect(await history.search('paris bread')).to.be.empty;
+        expect(await history.search('  ')).to.have.length(2);
+    });
+
+    it('should delete a session and fire change', async () => {
+        await history.save(session('a', 1000, []));
+        let changes = 0;
+        history.addEventListener('change', () => changes++);
+
+        await history.delete('a');
+        expect(await history.get('a')).to.be.undefined;
+        expect(changes).to.equal(1);
+    });
+});
@@ -0,0 +1,121 @@
+import { IconGenerator } from '../src/utils/icon-generator.js';
+import { KeyAnimator } from '../src/ui/KeyAnimator.js';
+
+const expect = chai.expect;
+
+describe('IconGenerator', () => {
+    it('should only animate connection states and the speaking ring', () => {
+        expect(IconGenerator.isAnimated('idle')).to.be.false;
+        expect(IconGenerator.isAnimated('warning')).to.be.false;
+        expect(IconGenerator.isAnimated('connecting')).to.be.true;
+        expect(IconGenerator.isAnimated('error')).to.be.true;
+        expect(IconGenerator.isAnimated('active', { speaking: true })).to.be.true;
+    });
+
+    it('should map RMS to meter height on a dB scale', () => {
+        expect(IconGenerator.meterLevel(0)).to.equal(0);
+        expect(IconGenerator.meterLevel(1)).to.equal(1);
+        expect(IconGenerator.meterLevel(10 ** (IconGenerator.METER_FLOOR_DB / 40))).to.be.closeTo(0.5, 1e-9);
+        expect(IconGenerator.isAnimated('idle', { meter: true })).to.be.true;
+    });
+
+    it('should render every state with a label and badge', async () => {
+        const generator = new IconGenerator();
+        for (const state of Object.keys(IconGenerator.STATES)) {
+            const icon = await generator.createIcon('mic', state, {
+                label: 'Push To Talk', badge: '$', speaking: true, meter: true, levels: { input: 0.1, output: 0.3 }, time: 0.3
+            });
+            expect(icon.blob.type).to.equal('image/jpeg');
+            expect(icon.buffer.byteLength).to.be.greaterThan(0);
+        }
+    });
+});
+
+describe('KeyAnimator', () => {
+    let animator;
+    let drawn;
+
+    let ready;
+
+    /** Stands in for IconGenerator so frames are cheap and countable. */
+    const fakeGenerator = {
+        createIcon: async (type, state, options) => ({ buffer: null, blob: /** @type {any} */ ({ type, state, levels: options.levels }) })
+    };
+
+    beforeEach(() => {
+        drawn = [];
+        ready = true;
+        animator = new KeyAnimator(/** @type {any} */ (fakeGenerator), (keyIndex, icon) => drawn.push([keyIndex, icon.blob]), {
+            levels: () => ({ input: 0.2, output: 0.1 }),
+            ready: () => ready
+        });
+    });
+
+    afterEach(() => animator.stop());
+
+    it('should draw static visuals once until they change', async () => {
+        const visual = { type: 'mic', state: 'idle', options: { label: 'PTT' } };
+        await animator.set(0, visual);
+        await animator.set(0, { ...visual });
+        expect(drawn).to.have.length(1);
+
+        await animator.set(0, { ...visual, state: 'active' });
+        expect(drawn).to.have.length(2);
+        expect(animator.timer).to.be.null;
+    });
+
+    it('should redraw after invalidate', async () => {
+        const visual = { type: 'mic', state: 'idle', options: {} };
+        await animator.set(0, visual);
+        animator.invalidate();
+        await animator.set(0, visual);
+        expect(drawn).to.have.length(2);
+    });
+
+    it('should redraw animated keys every frame and stop once none are left', async () => {
+        await animator.set(1, { type: 'bubble', state: 'idle', options: { speaking: true } });
+        await animator.set(2, { type: 'mic', state: 'idle', options: {} });
+        expect(animator.timer).to.not.be.null;
+
+        await animator.tick();
+        await animator.tick();
+        // The first draw of each key, then two frames of the animated one only
+        expect(drawn.map(([key]) => key)).to.deep.equal([1, 2, 1, 1]);
+
+        await animator.set(1, { type: 'bubble', state: 'idle', options: { speaking: false } });
+        await animator.tick();
+        expect(animator.timer).to.be.null;
+    });
+
+    it('should drop a frame while the previous one is still being written', async () => {
+        await animator.set(0, { type: 'mic', state: 'error', options: {} });
+        animator.busy = true;
+        await animator.tick();
+        expect(drawn).to.have.length(1);
+    });
+
+    it('should read live levels for meter keys on every frame', async () => {
+        await animator.set(0, { type: 'mic', state: 'active', options: { meter: true } });
+        await animator.tick();
+        expect(drawn).to.have.length(2);
+        expect(drawn[1][1].levels).to.deep.equal({ input: 0.2, output: 0.1 });
+    });
+
+    it('should skip frames while the device is behind, but still draw state changes', async () => {
+        await animator.set(0, { type: 'mic', state: 'active', options: { meter: true } });
+        ready = false;
+        await animator.tick();
+        await animator.tick();
+        expect(drawn).to.have.length(1);
+
+        await animator.set(0, { type: 'mic', state: 'idle', options: {} });
+        expect(drawn).to.have.length(2);
+    });
+
+    it('should not draw a frame for a key that was unbound meanwhile', async () => {
+        await animator.set(0, { type: 'mic', state: 'connecting', options: {} });
+        animator.delete(0);
+        await animator.tick();
+        expect(drawn).to.have.length(1);
+    });
+});
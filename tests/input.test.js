@@ -0,0 +1,169 @@
+import { InputManager } from '../src/managers/InputManager.js';
+import { KeyboardInput } from '../src/input/KeyboardInput.js';
+import { MidiInput } from '../src/input/MidiInput.js';
+import { GamepadInput } from '../src/input/GamepadInput.js';
+
+const expect = chai.expect;
+
+describe('InputManager', () => {
+    let inputs;
+
+    const clearStorage = () => localStorage.removeItem(InputManager.STORAGE_KEY);
+
+    beforeEach(() => {
+        clearStorage();
+        inputs = new InputManager();
+    });
+
+    after(clearStorage);
+
+    it('should persist bindings and list them per key', () => {
+        inputs.bind('keyboard:Ctrl+KeyK', 0);
+        inputs.bind('midi:note:60', 0);
+        inputs.bind('gamepad:button:1', 3);
+
+        const reloaded = new InputManager();
+        expect(reloaded.controlsFor(0)).to.deep.equal(['keyboard:Ctrl+KeyK', 'midi:note:60']);
+        expect(reloaded.controlsFor(3)).to.deep.equal(['gamepad:button:1']);
+    });
+
+    it('should reject a control already bound to another key', () => {
+        inputs.bind('midi:cc:64', 2);
+        expect(() => inputs.bind('midi:cc:64', 5)).to.throw('already bound to key 3');
+        expect(inputs.controlsFor(5)).to.be.empty;
+        // Rebinding to the same key is fine
+        expect(() => inputs.bind('midi:cc:64', 2)).to.not.throw();
+    });
+
+    it('should reject browser-reserved shortcuts', () => {
+        expect(inputs.conflictFor('keyboard:Ctrl+KeyW', 0)).to.equal('Ctrl+W is reserved by the browser');
+        expect(() => inputs.bind('keyboard:Ctrl+KeyW', 0)).to.throw('reserved');
+    });
+
+    it('should press and release the bound key', () => {
+        inputs.bind('gamepad:button:0', 4);
+        const events = [];
+        inputs.addEventListener('keydown', (e) => events.push(['down', e.detail.buttonId]));
+        inputs.addEventListener('keyup', (e) => events.push(['up', e.detail.buttonId]));
+
+        expect(inputs.handleControl('gamepad:button:0', true)).to.be.true;
+        expect(inputs.handleControl('gamepad:button:0', false)).to.be.true;
+        expect(inputs.handleControl('gamepad:button:9', true)).to.be.false;
+        expect(events).to.deep.equal([['down', 4], ['up', 4]]);
+    });
+
+    it('should learn the next control without pressing the key on release', () => {
+        let learned = null;
+        let pressed = 0;
+        inputs.addEventListener('learn', (e) => { learned = e.detail; });
+        inputs.addEventListener('keyup', () => pressed++);
+
+        inputs.learn(1);
+        inputs.handleControl('keyboard:Alt+KeyM', true);
+        inputs.handleControl('keyboard:Alt+KeyM', false);
+
+        expect(learned).to.deep.equal({ keyIndex: 1, control: 'keyboard:Alt+KeyM', error: null });
+        expect(inputs.controlsFor(1)).to.deep.equal(['keyboard:Alt+KeyM']);
+        expect(pressed).to.equal(0);
+    });
+
+    it('should cancel learning on Escape and report conflicts', () => {
+        const results = [];
+        inputs.addEventListener('learn', (e) => results.push(e.detail));
+        inputs.bind('midi:note:36', 0);
+
+        inputs.learn(1);
+        inputs.handleControl('keyboard:Escape', true);
+        inputs.learn(1);
+        inputs.handleControl('midi:note:36', true);
+
+        expect(results[0].control).to.be.null;
+        expect(results[1].error).to.equal('MIDI note 36 is already bound to key 1');
+        expect(inputs.learningKey).to.be.null;
+        expect(inputs.controlsFor(1)).to.be.empty;
+    });
+
+    it('should describe controls', () => {
+        expect(InputManager.describe('keyboard:Ctrl+Shift+KeyP')).to.equal('Ctrl+Shift+P');
+        expect(InputManager.describe('keyboard:Digit1')).to.equal('1');
+        expect(InputManager.describe('keyboard:F2')).to.equal('F2');
+        expect(InputManager.describe('midi:cc:64')).to.equal('MIDI CC 64');
+        expect(InputManager.describe('gamepad:button:3')).to.equal('Pad button 3');
+    });
+});
+
+describe('KeyboardInput', () => {
+    const key = (code, modifiers = {}) => /** @type {KeyboardEvent} */ ({ code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers });
+
+    it('should build control ids from modifiers and the physical key', () => {
+        expect(KeyboardInput.controlFor(key('KeyK', { ctrlKey: true, shiftKey: true }))).to.equal('keyboard:Ctrl+Shift+KeyK');
+        expect(KeyboardInput.controlFor(key('Space'))).to.equal('keyboard:Space');
+    });
+
+    it('should ignore lone modifiers', () => {
+        expect(KeyboardInput.controlFor(key('ShiftLeft', { shiftKey: true }))).to.be.null;
+        expect(KeyboardInput.controlFor(key('ControlRight', { ctrlKey: true }))).to.be.null;
+    });
+
+    it('should release on keyup even if the modifier went up first', () => {
+        const calls = [];
+        const keyboard = new KeyboardInput((control, isDown) => {
+            calls.push([control, isDown]);
+            return true;
+        }, new EventTarget());
+        const event = (code, modifiers) => ({ ...key(code, modifiers), repeat: false, target: null, preventDefault() {} });
+
+        keyboard.onKeyDown(/** @type {any} */ (event('KeyK', { ctrlKey: true })));
+        keyboard.onKeyUp(/** @type {any} */ (event('KeyK')));
+        expect(calls).to.deep.equal([['keyboard:Ctrl+KeyK', true], ['keyboard:Ctrl+KeyK', false]]);
+    });
+});
+
+describe('MidiInput', () => {
+    it('should parse notes on any channel', () => {
+        expect(MidiInput.parse([0x90, 60, 100])).to.deep.equal({ control: 'midi:note:60', isDown: true });
+        expect(MidiInput.parse([0x93, 60, 0])).to.deep.equal({ control: 'midi:note:60', isDown: false });
+        expect(MidiInput.parse([0x80, 60, 64])).to.deep.equal({ control: 'midi:note:60', isDown: false });
+    });
+
+    it('should treat control changes as pressed from 64', () => {
+        expect(MidiInput.parse([0xb0, 64, 127])).to.deep.equal({ control: 'midi:cc:64', isDown: true });
+        expect(MidiInput.parse([0xb0, 64, 63])).to.deep.equal({ control: 'midi:cc:64', isDown: false });
+        expect(MidiInput.parse([0xf8])).to.be.null;
+    });
+
+    it('should not retrigger on repeated values', () => {
+        const calls = [];
+        const midi = new MidiInput((control, isDown) => {
+            calls.push(isDown);
+            return true;
+        });
+        [100, 110, 20, 10].forEach(value => midi.onMessage(/** @type {any} */ ({ data: [0xb0, 64, value] })));
+        expect(calls).to.deep.equal([true, false]);
+    });
+});
+
+describe('GamepadInput', () => {
+    it('should report press and release edges across pads', () => {
+        const pad = (...pressed) => ({ buttons: pressed.map(p => ({ pressed: p })) });
+        let pads = [pad(false, false), null];
+        const calls = [];
+        const gamepad = new GamepadInput((control, isDown) => {
+            calls.push([control, isDown]);
+            return true;
+        }, () => /** @type {any} */ (pads));
+
+        gamepad.poll();
+        pads = [pad(false, true), pad(true)];
+        gamepad.poll();
+        gamepad.poll();
+        pads = [pad(false, false), pad(true)];
+        gamepad.poll();
+
+        expect(calls).to.deep.equal([
+            ['gamepad:button:1', true],
+            ['gamepad:button:0', true],
+            ['gamepad:button:1', false]
+        ]);
+    });
+});
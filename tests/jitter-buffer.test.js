@@ -0,0 +1,71 @@
+import { JitterBuffer } from '../src/utils/jitter-buffer.js';
+
+const expect = chai.expect;
+
+describe('JitterBuffer', () => {
+    it('should buffer the first chunk of a stream and queue the rest back-to-back', () => {
+        const jitter = new JitterBuffer({ initialDelay: 0.1 });
+        const first = jitter.schedule(1, 0.2);
+        expect(first.start).to.be.closeTo(1.1, 1e-9);
+        expect(first.gap).to.be.true;
+        expect(first.underrun).to.be.false;
+
+        const second = jitter.schedule(1.05, 0.2);
+        expect(second.start).to.be.closeTo(1.3, 1e-9);
+        expect(second.gap).to.be.false;
+        expect(jitter.buffered(1.05)).to.be.closeTo(0.45, 1e-9);
+    });
+
+    it('should count an underrun and grow the delay when a stream runs dry mid-turn', () => {
+        const jitter = new JitterBuffer({ initialDelay: 0.1, stepUp: 0.05 });
+        jitter.schedule(0, 0.2); // plays 0.1 - 0.3
+        const late = jitter.schedule(0.5, 0.2);
+
+        expect(late.underrun).to.be.true;
+        expect(late.gap).to.be.true;
+        expect(jitter.underruns).to.equal(1);
+        expect(jitter.targetDelay).to.be.closeTo(0.15, 1e-9);
+        expect(late.start).to.be.closeTo(0.65, 1e-9);
+    });
+
+    it('should not count the silence between turns as an underrun', () => {
+        const jitter = new JitterBuffer();
+        jitter.schedule(0, 0.2);
+        jitter.endStream();
+        const next = jitter.schedule(5, 0.2);
+
+        expect(next.underrun).to.be.false;
+        expect(jitter.underruns).to.equal(0);
+    });
+
+    it('should cap the delay and shrink it again after a quiet spell', () => {
+        const jitter = new JitterBuffer({ initialDelay: 0.1, maxDelay: 0.2, stepUp: 0.08, stepDown: 0.05, decayAfter: 10 });
+        for (let t = 1; t <= 4; t++) jitter.schedule(t, 0.1);
+        expect(jitter.underruns).to.equal(3);
+        expect(jitter.targetDelay).to.equal(0.2);
+
+        jitter.endStream();
+        jitter.schedule(20, 0.1);
+        expect(jitter.targetDelay).to.be.closeTo(0.15, 1e-9);
+    });
+
+    it('should drop chunks beyond the maximum queue as overruns', () => {
+        const jitter = new JitterBuffer({ initialDelay: 0, maxBuffered: 1 });
+        jitter.schedule(0, 0.6);
+        const dropped = jitter.schedule(0, 0.6);
+
+        expect(dropped.dropped).to.be.true;
+        expect(jitter.overruns).to.equal(1);
+        expect(jitter.nextStart).to.be.closeTo(0.6, 1e-9);
+    });
+
+    it('should keep counters and the learned delay across reset', () => {
+        const jitter = new JitterBuffer({ initialDelay: 0.1 });
+        jitter.schedule(0, 0.1);
+        jitter.schedule(1, 0.1);
+        jitter.reset();
+
+        expect(jitter.nextStart).to.equal(0);
+        expect(jitter.stats(0)).to.deep.equal({ underruns: 1, overruns: 0, targetDelayMs: 140, bufferedMs: 0 });
+    });
+});
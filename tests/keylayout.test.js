@@ -0,0 +1,210 @@
+import { KeyLayoutManager } from '../src/managers/KeyLayoutManager.js';
+
+const expect = chai.expect;
+
+describe('KeyLayoutManager', () => {
+    let layout;
+
+    beforeEach(() => {
+        localStorage.removeItem(KeyLayoutManager.STORAGE_KEY);
+        layout = new KeyLayoutManager();
+    });
+
+    after(() => {
+        localStorage.removeItem(KeyLayoutManager.STORAGE_KEY);
+    });
+
+    it('should default to PTT on key 0, toggle on key 1 and folders after them', () => {
+        expect(layout.get(0).action).to.equal('ptt');
+        expect(layout.get(1).action).to.equal('toggle');
+        expect(layout.get(2)).to.deep.equal({ action: 'folder', folder: 'voices' });
+        expect(layout.get(5)).to.be.null;
+        expect(layout.pages).to.deep.equal(['', 'voices', 'prompts', 'session']);
+    });
+
+    it('should persist changes to localStorage', () => {
+        layout.set(4, { action: 'mute' });
+        const reloaded = new KeyLayoutManager();
+        expect(reloaded.get(4).action).to.equal('mute');
+    });
+
+    it('should swap bindings, including with an empty key', () => {
+        layout.swap(0, 5);
+        expect(layout.get(0)).to.be.null;
+        expect(layout.get(5).action).to.equal('ptt');
+    });
+
+    it('should reject unknown actions and prompts without text', () => {
+        expect(() => layout.set(5, { action: 'explode' })).to.throw();
+        expect(() => layout.set(5, { action: 'prompt' })).to.throw();
+        expect(layout.get(5)).to.be.null;
+    });
+
+    it('should reject inherited property names as actions', () => {
+        expect(() => layout.set(5, { action: 'toString' })).to.throw('Unknown key action: toString');
+        expect(() => layout.set(5, { action: 'constructor' })).to.throw('Unknown key action: constructor');
+        expect(layout.get(5)).to.be.null;
+    });
+
+    it('should require a snippet name on snippet keys and label them with it', () => {
+        expect(() => layout.set(2, { action: 'snippet' })).to.throw();
+        layout.set(2, { action: 'snippet', snippet: 'Recap' });
+        expect(layout.get(2)).to.deep.equal({ action: 'snippet', snippet: 'Recap' });
+        expect(KeyLayoutManager.labelFor(layout.get(2))).to.equal('Recap');
+    });
+
+    it('should round-trip through JSON export/import', () => {
+        layout.set(3, { action: 'prompt', text: 'Summarize that' });
+        const json = JSON.stringify(layout.toJSON());
+
+        const other = new KeyLayoutManager();
+        other.reset();
+        other.importJSON(json);
+        expect(other.get(3)).to.deep.equal({ action: 'prompt', text: 'Summarize that' });
+    });
+
+    it('should leave the layout untouched when an import is invalid', () => {
+        const bad = { version: 1, keys: { 0: { action: 'mute' }, 1: { action: 'nope' } } };
+        expect(() => layout.importJSON(bad)).to.throw();
+        expect(layout.get(0).action).to.equal('ptt');
+    });
+
+    it('should drop the old per-key turn-taking flag but remember it was set', () => {
+        layout.set(0, { action: 'ptt', manualActivity: true });
+        expect(layout.get(0)).to.deep.equal({ action: 'ptt' });
+        expect(KeyLayoutManager.labelFor(layout.get(0))).to.equal('Push To Talk');
+        expect(layout.hadManualActivity).to.be.false;
+
+        const saved = { version: 3, keys: { 0: { action: 'mute', manualActivity: true } }, folders: { music: { 0: { action: 'back' }, 1: { action: 'toggle', manualActivity: true } } } };
+        localStorage.setItem(KeyLayoutManager.STORAGE_KEY, JSON.stringify(saved));
+        const reloaded = new KeyLayoutManager();
+        expect(reloaded.hadManualActivity).to.be.true;
+        expect(reloaded.folders.music[1]).to.deep.equal({ action: 'toggle' });
+
+        // Only mic keys ever had it, and text that merely mentions it doesn't count
+        const prompt = { action: 'prompt', text: '"manualActivity":true' };
+        localStorage.setItem(KeyLayoutManager.STORAGE_KEY, JSON.stringify({ version: 3, keys: { 0: { action: 'mute', manualActivity: true }, 1: prompt }, folders: {} }));
+        expect(new KeyLayoutManager().hadManualActivity).to.be.false;
+    });
+
+    it('should keep a key\'s gestures when its press action changes', () => {
+        layout.set(5, { action: 'mute' });
+        layout.setGesture(5, 'doubleTap', { action: 'voice' });
+        layout.setGesture(5, 'longPress', { action: 'reconnect' });
+
+        layout.setPress(5, { action: 'persona' });
+        expect(layout.get(5)).to.deep.equal({ action: 'persona', doubleTap: { action: 'voice' }, longPress: { action: 'reconnect' } });
+
+        expect(() => layout.setPress(5, { action: 'ptt' })).to.throw("Push To Talk keys can't have gestures");
+        expect(layout.get(5).action).to.equal('persona');
+
+        layout.setPress(6, { action: 'mute' });
+        expect(layout.get(6)).to.deep.equal({ action: 'mute' });
+    });
+
+    it('should carry double tap and long press actions on a key', () => {
+        layout.set(2, { action: 'mute' });
+        layout.setGesture(2, 'doubleTap', { action: 'voice' });
+        layout.setGesture(2, 'longPress', { action: 'reconnect' });
+        expect(new KeyLayoutManager().get(2)).to.deep.equal({ action: 'mute', doubleTap: { action: 'voice' }, longPress: { action: 'reconnect' } });
+
+        layout.setGesture(2, 'doubleTap', null);
+        expect(layout.get(2)).to.deep.equal({ action: 'mute', longPress: { action: 'reconnect' } });
+    });
+
+    it('should keep gestures off push-to-talk and unbound keys', () => {
+        expect(() => layout.setGesture(0, 'longPress', { action: 'mute' })).to.throw();
+        expect(() => layout.setGesture(1, 'longPress', { action: 'ptt' })).to.throw();
+        expect(() => layout.setGesture(7, 'doubleTap', { action: 'mute' })).to.throw();
+        expect(layout.get(1)).to.deep.equal({ action: 'toggle' });
+    });
+
+    it('should store chords by sorted keys and round-trip them', () => {
+        layout.setChord([3, 1], { action: 'persona' });
+        layout.setChord([1, 3], { action: 'voice' });
+        expect(layout.chords).to.deep.equal([{ keys: [1, 3], binding: { action: 'voice' } }]);
+        expect(layout.chordFor([3, 1])).to.deep.equal({ action: 'voice' });
+
+        const other = new KeyLayoutManager();
+        other.importJSON(JSON.stringify(layout.toJSON()));
+        expect(other.chordFor([1, 3])).to.deep.equal({ action: 'voice' });
+
+        layout.clearChord([1, 3]);
+        expect(layout.chordFor([1, 3])).to.be.null;
+        expect(() => layout.setChord([2, 2], { action: 'mute' })).to.throw();
+    });
+
+    it('should open folders, go back, and edit the open page', () => {
+        let pageChanges = 0;
+        layout.addEventListener('page', () => pageChanges++);
+
+        layout.open('session');
+        expect(layout.page).to.equal('session');
+        expect(layout.get(0).action).to.equal('back');
+        layout.set(5, { action: 'snippet', snippet: 'Recap' });
+
+        layout.back();
+        expect(layout.page).to.equal('');
+        expect(layout.get(5)).to.be.null;
+        expect(layout.folders.session[5]).to.deep.equal({ action: 'snippet', snippet: 'Recap' });
+        expect(pageChanges).to.equal(2);
+        expect(() => layout.open('nope')).to.throw();
+    });
+
+    it('should not nest a folder that is already open', () => {
+        layout.open('voices');
+        layout.set(5, { action: 'folder', folder: 'prompts' });
+        layout.open('prompts');
+        layout.open('voices');
+        expect(layout.path).to.deep.equal(['voices']);
+    });
+
+    it('should create new folders with a back key', () => {
+        layout.set(5, { action: 'folder', folder: ' music ' });
+        expect(layout.get(5)).to.deep.equal({ action: 'folder', folder: 'music' });
+        expect(layout.folders.music).to.deep.equal({ 0: { action: 'back' } });
+        expect(KeyLayoutManager.labelFor(layout.get(5))).to.equal('music');
+        expect(() => layout.set(5, { action: 'folder' })).to.throw();
+    });
+
+    it('should treat inherited property names as ordinary folder names', () => {
+        expect(() => layout.open('toString')).to.throw('No folder named "toString"');
+        expect(() => layout.open('constructor')).to.throw('No folder named "constructor"');
+        expect(() => layout.importJSON({ version: 3, keys: { 0: { action: 'folder', folder: 'toString' } }, folders: {} }))
+            .to.throw('No folder named "toString"');
+        expect(() => layout.set(5, { action: 'folder', folder: '__proto__' })).to.throw();
+
+        layout.set(5, { action: 'folder', folder: 'toString' });
+        expect(layout.folders.toString).to.deep.equal({ 0: { action: 'back' } });
+        layout.open('toString');
+        expect(layout.page).to.equal('toString');
+        expect(layout.get(0)).to.deep.equal({ action: 'back' });
+    });
+
+    it('should round-trip folders and give older layouts the default ones', () => {
+        layout.open('prompts');
+        layout.set(5, { action: 'voice', voice: 'Kore' });
+        const other = new KeyLayoutManager();
+        other.importJSON(JSON.stringify(layout.toJSON()));
+        expect(other.folders.prompts[5]).to.deep.equal({ action: 'voice', voice: 'Kore' });
+
+        other.importJSON({ version: 1, keys: { 0: { action: 'ptt' } } });
+        expect(other.pages).to.deep.equal(['', 'voices', 'prompts', 'session']);
+        expect(() => other.importJSON({ version: 3, keys: { 0: { action: 'folder', folder: 'gone' } }, folders: {} })).to.throw();
+    });
+
+    it('should go back to the main page when an import drops the open folder', () => {
+        layout.open('voices');
+        layout.importJSON({ version: 3, keys: { 0: { action: 'ptt' } }, folders: {} });
+        expect(layout.page).to.equal('');
+        expect(layout.get(0).action).to.equal('ptt');
+    });
+
+    it('should fire change events', () => {
+        let changes = 0;
+        layout.addEventListener('change', () => changes++);
+        layout.set(2, { action: 'voice' });
+        layout.clear(2);
+        expect(changes).to.equal(2);
+    });
+});
@@ -0,0 +1,60 @@
+import { PersonaManager } from '../src/managers/PersonaManager.js';
+
+const expect = chai.expect;
+
+describe('PersonaManager', () => {
+    let personas;
+
+    const clearStorage = () => {
+        localStorage.removeItem(PersonaManager.STORAGE_KEY);
+        localStorage.removeItem(PersonaManager.ACTIVE_KEY);
+    };
+
+    beforeEach(() => {
+        clearStorage();
+        personas = new PersonaManager();
+    });
+
+    after(clearStorage);
+
+    it('should start with the default assistant persona', () => {
+        expect(personas.personas).to.have.length(1);
+        expect(personas.active.instruction).to.equal('You are a helpful voice assistant.');
+        expect(personas.active.temperature).to.be.null;
+    });
+
+    it('should create, select and persist a persona', () => {
+        const pirate = personas.create({ name: 'Pirate', instruction: 'Talk like a pirate.', voice: 'Charon', temperature: 1.2 });
+        expect(personas.active.id).to.equal(pirate.id);
+
+        const reloaded = new PersonaManager();
+        expect(reloaded.personas).to.have.length(2);
+        expect(reloaded.active.name).to.equal('Pirate');
+        expect(reloaded.active.voice).to.equal('Charon');
+    });
+
+    it('should cycle through personas with next() and fire select', () => {
+        personas.create({ name: 'Second' });
+        let selects = 0;
+        personas.addEventListener('select', () => selects++);
+
+        expect(personas.next().name).to.equal('Assistant');
+        expect(personas.next().name).to.equal('Second');
+        expect(selects).to.equal(2);
+    });
+
+    it('should coerce and clamp temperature from form values', () => {
+        expect(PersonaManager.normalize({ id: 'a', temperature: '' }).temperature).to.be.null;
+        expect(PersonaManager.normalize({ id: 'a', temperature: '0.7' }).temperature).to.equal(0.7);
+        expect(PersonaManager.normalize({ id: 'a', temperature: 5 }).temperature).to.equal(2);
+        expect(PersonaManager.normalize({ id: 'a', temperature: 'hot' }).temperature).to.be.null;
+    });
+
+    it('should refuse to remove the last persona and reselect after removing the active one', () => {
+        expect(() => personas.remove('default')).to.throw();
+
+        const second = personas.create({ name: 'Second' });
+        personas.remove(second.id);
+        expect(personas.active.id).to.equal('default');
+    });
+});
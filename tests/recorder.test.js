@@ -0,0 +1,90 @@
+import { SessionRecorder, encodeWAV } from '../src/utils/session-recorder.js';
+
+const expect = chai.expect;
+
+describe('SessionRecorder', () => {
+    let recorder;
+
+    beforeEach(() => {
+        recorder = new SessionRecorder({ user: 16000, model: 24000 });
+    });
+
+    it('should place chunks on a shared timeline', () => {
+        recorder.addChunk('user', new Int16Array(16000).fill(100), 0);
+        recorder.addChunk('model', new Int16Array(24000).fill(200), 1);
+        expect(recorder.duration).to.equal(2);
+
+        const user = recorder.renderTrack('user');
+        const model = recorder.renderTrack('model');
+        expect(user.length).to.equal(32000);
+        expect(user[0]).to.equal(100);
+        expect(user[20000]).to.equal(0);
+        expect(model[0]).to.equal(0);
+        expect(model[30000]).to.equal(200);
+    });
+
+    it('should resample a track in line with its timeline', () => {
+        recorder.addChunk('user', new Int16Array(16000).fill(1000), 0.5);
+        const user = recorder.renderTrack('user', 48000);
+        expect(user.length).to.equal(72000);
+        expect(user[23999]).to.equal(0);
+        expect(user[24000]).to.be.closeTo(1000, 100);
+        expect(user[48000]).to.be.closeTo(1000, 1);
+    });
+
+    it('should resample back-to-back chunks as one stream', () => {
+        const sine = Int16Array.from({ length: 3200 }, (_, i) => Math.round(10000 * Math.sin(2 * Math.PI * 440 * i / 16000)));
+        recorder.addChunk('user', sine, 0);
+        const whole = recorder.renderTrack('user', 48000);
+
+        const chunked = new SessionRecorder({ user: 16000 });
+        chunked.addChunk('user', sine.subarray(0, 1600), 0);
+        chunked.addChunk('user', sine.subarray(1600), 0.1);
+        expect(Array.from(chunked.renderTrack('user', 48000))).to.deep.equal(Array.from(whole));
+    });
+
+    it('should snap nearly-contiguous chunks together', () => {
+        recorder.addChunk('user', new Int16Array(1600), 0);
+        recorder.addChunk('user', new Int16Array(1600), 0.11);
+        expect(recorder.tracks.user.chunks[1].start).to.equal(0.1);
+    });
+
+    it('should truncate a track at a given time', () => {
+        recorder.addChunk('model', new Int16Array(24000), 0);
+        recorder.addChunk('model', new Int16Array(24000), 1);
+        recorder.truncate('model', 0.5);
+        expect(recorder.tracks.model.chunks).to.have.length(1);
+        expect(recorder.tracks.model.chunks[0].samples.length).to.equal(12000);
+        expect(recorder.tracks.model.end).to.equal(0.5);
+    });
+
+    it('should export a stereo WAV with the user left and the model right', async () => {
+        recorder.addChunk('user', new Int16Array(16).fill(1000), 0);
+        recorder.addChunk('model', new Int16Array(24).fill(-1000), 0);
+        const view = new DataView(await recorder.toStereoWAV().arrayBuffer());
+
+        expect(view.getUint16(22, true)).to.equal(2);
+        expect(view.getUint32(24, true)).to.equal(24000);
+        // The user track is upsampled, so its edge rings a little
+        expect(view.getInt16(44, true)).to.be.closeTo(1000, 100);
+        expect(view.getInt16(46, true)).to.equal(-1000);
+    });
+
+    it('should export separate WAVs at each track\'s own rate', async () => {
+        recorder.addChunk('user', new Int16Array(16), 0);
+        const { user, model } = recorder.toSeparateWAVs();
+        expect(new DataView(await user.arrayBuffer()).getUint32(24, true)).to.equal(16000);
+        expect(new DataView(await model.arrayBuffer()).getUint32(24, true)).to.equal(24000);
+    });
+});
+
+describe('WAV helpers', () => {
+    it('should write a valid RIFF header', async () => {
+        const bytes = new Uint8Array(await encodeWAV([new Int16Array(10)], 16000).arrayBuffer());
+        const text = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+        expect(text(0, 4)).to.equal('RIFF');
+        expect(text(8, 12)).to.equal('WAVE');
+        expect(text(36, 40)).to.equal('data');
+        expect(bytes.length).to.equal(44 + 20);
+    });
+});
@@ -0,0 +1,52 @@
+import { PolyphaseResampler } from '../src/utils/resampler.js';
+
+const expect = chai.expect;
+
+describe('PolyphaseResampler', () => {
+    const sine = (frequency, rate, length) =>
+        Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / rate));
+
+    /** RMS, skipping the filter's start-up transient. */
+    const rms = (samples, skip = 200) => {
+        let sum = 0;
+        for (let i = skip; i < samples.length - skip; i++) sum += samples[i] * samples[i];
+        return Math.sqrt(sum / (samples.length - 2 * skip));
+    };
+
+    [[48000, 16000], [44100, 16000], [24000, 48000], [24000, 44100]].forEach(([input, output]) => {
+        it(`should convert ${input}Hz to ${output}Hz keeping duration and level`, () => {
+            const resampler = new PolyphaseResampler(input, output);
+            const result = resampler.process(sine(1000, input, input));
+            expect(result.length).to.equal(output);
+            expect(rms(result)).to.be.closeTo(Math.SQRT1_2, 0.01);
+        });
+    });
+
+    it('should filter out content above the output Nyquist frequency', () => {
+        // 12kHz can't be represented at 16kHz; decimating without a filter folds it to 4kHz
+        const result = new PolyphaseResampler(48000, 16000).process(sine(12000, 48000, 48000));
+        expect(rms(result)).to.be.lessThan(0.01);
+    });
+
+    it('should give the same output whether fed whole or in render quanta', () => {
+        const input = sine(440, 48000, 4800);
+        const whole = new PolyphaseResampler(48000, 16000).process(input);
+
+        const streaming = new PolyphaseResampler(48000, 16000);
+        const pieces = [];
+        for (let i = 0; i < input.length; i += 128) {
+            pieces.push(...streaming.process(input.subarray(i, i + 128)));
+        }
+
+        expect(pieces.length).to.equal(whole.length);
+        pieces.forEach((sample, i) => expect(sample).to.be.closeTo(whole[i], 1e-6));
+    });
+
+    it('should start fresh after reset', () => {
+        const resampler = new PolyphaseResampler(24000, 48000);
+        const first = resampler.process(sine(1000, 24000, 240));
+        resampler.process(sine(3000, 24000, 100));
+        resampler.reset();
+        expect(Array.from(resampler.process(sine(1000, 24000, 240)))).to.deep.equal(Array.from(first));
+    });
+});
@@ -0,0 +1,52 @@
+import { SnippetManager } from '../src/managers/SnippetManager.js';
+
+const expect = chai.expect;
+
+describe('SnippetManager', () => {
+    let snippets;
+
+    const clearStorage = () => localStorage.removeItem(SnippetManager.STORAGE_KEY);
+
+    beforeEach(() => {
+        clearStorage();
+        snippets = new SnippetManager();
+    });
+
+    after(clearStorage);
+
+    it('should save, trim and persist snippets', () => {
+        snippets.save('  Recap ', ' Summarize what we said so far. ');
+
+        const reloaded = new SnippetManager();
+        expect(reloaded.get('Recap')).to.deep.equal({ name: 'Recap', text: 'Summarize what we said so far.' });
+    });
+
+    it('should replace the text of a snippet with the same name', () => {
+        snippets.save('Recap', 'one');
+        snippets.save('Recap', 'two');
+        expect(snippets.snippets).to.have.length(1);
+        expect(snippets.get('Recap').text).to.equal('two');
+    });
+
+    it('should reject snippets without a name or text', () => {
+        expect(() => snippets.save('', 'text')).to.throw();
+        expect(() => snippets.save('Empty', '   ')).to.throw();
+        expect(snippets.snippets).to.be.empty;
+    });
+
+    it('should remove snippets and fire change events', () => {
+        let changes = 0;
+        snippets.addEventListener('change', () => changes++);
+        snippets.save('Recap', 'text');
+        snippets.remove('Recap');
+        snippets.remove('Missing');
+
+        expect(snippets.get('Recap')).to.be.null;
+        expect(changes).to.equal(2);
+    });
+
+    it('should ignore invalid saved data', () => {
+        localStorage.setItem(SnippetManager.STORAGE_KEY, '{not json');
+        expect(new SnippetManager().snippets).to.be.empty;
+    });
+});
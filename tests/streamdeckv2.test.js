@@ -1,4 +1,4 @@
-import {StreamDeckV2} from '../src/lib/streamdeckv2.js';
+import {StreamDeckV2, WriteScheduler} from '../src/lib/streamdeckv2.js';
 
 
 describe('StreamDeckV2 Library', () => {
@@ -114,6 +114,180 @@ describe('StreamDeckV2 Library', () => {
     });
   });
 
+  describe('Pages', () => {
+    it('should start on the main page and need a device to draw one', async () => {
+        expect(sd.page).to.equal('');
+        let error = null;
+        try {
+          await sd.showPage('voices');
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.equal('Not connected.');
+        expect(sd.page).to.equal('');
+    });
+
+    describe('with a device', () => {
+      let images;
+
+      /**
+       * A one-packet image whose first byte identifies it.
+       *
+       * @param {number} id
+       * @return {ArrayBuffer}
+       */
+      const image = (id) => new Uint8Array([id, 0, 0]).buffer;
+
+      /**
+       * The first byte of the image each key was last sent. Black keys
+       * (JPEG) start with 0xff.
+       *
+       * @return {!Map<number, number>}
+       */
+      const lastImages = () => new Map(images.map(({key, first}) => [key, first]));
+
+      beforeEach(async function() {
+        if (!('hid' in navigator)) {
+          this.skip();
+        }
+        images = [];
+        mockDevice.sendReport = async (reportId, data) => {
+          // V2 layout, without the report ID: [0x07, key, isLast, length (2), page (2), payload...]
+          if (data[5] === 0 && data[6] === 0) {
+            images.push({key: data[1], first: data[7]});
+          }
+        };
+        const hid = /** @type {any} */ (navigator).hid;
+        hid.getDevices = async () => [mockDevice];
+        try {
+          await sd.connect();
+        } finally {
+          delete hid.getDevices;
+        }
+      });
+
+      afterEach(() => sd.disconnect());
+
+      it('should redraw the cached images when switching pages', async () => {
+        await sd.fillPageBuffer('', 0, image(1));
+        await sd.fillPageBuffer('voices', 1, image(2));
+        expect(lastImages()).to.deep.equal(new Map([[0, 1]]));
+
+        await sd.showPage('voices');
+        expect(sd.page).to.equal('voices');
+        let keys = lastImages();
+        expect(keys.size).to.equal(sd.NUM_KEYS);
+        expect(keys.get(0)).to.equal(0xff);
+        expect(keys.get(1)).to.equal(2);
+
+        await sd.showPage('');
+        keys = lastImages();
+        expect(keys.get(0)).to.equal(1);
+        expect(keys.get(1)).to.equal(0xff);
+      });
+
+      it('should skip an image the key already shows', async () => {
+        await sd.fillPageBuffer('', 3, image(5));
+        await sd.fillPageBuffer('', 3, image(5));
+        expect(images.length).to.equal(1);
+
+        await sd.fillPageBuffer('', 3, image(6));
+        expect(images.length).to.equal(2);
+        expect(lastImages().get(3)).to.equal(6);
+      });
+
+      it('should draw an image again after writing it failed', async () => {
+        const sendReport = mockDevice.sendReport;
+        mockDevice.sendReport = async () => {
+          throw new Error('Device busy');
+        };
+        let error = null;
+        try {
+          await sd.fillPageBuffer('', 3, image(5));
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.not.be.null;
+
+        mockDevice.sendReport = sendReport;
+        await sd.fillPageBuffer('', 3, image(5));
+        expect(lastImages().get(3)).to.equal(5);
+      });
+
+      it('should cache other pages without drawing them', async () => {
+        await sd.fillPageBuffer('prompts', 3, image(7));
+        expect(images).to.deep.equal([]);
+
+        await sd.showPage('prompts');
+        expect(lastImages().get(3)).to.equal(7);
+      });
+
+      it('should clear a key given no image', async () => {
+        await sd.fillPageBuffer('', 3, image(5));
+        await sd.fillPageBuffer('', 3, null);
+        expect(lastImages().get(3)).to.equal(0xff);
+
+        // Nothing cached any more, so there's nothing to clear
+        images = [];
+        await sd.fillPageBuffer('', 3, null);
+        expect(images).to.deep.equal([]);
+      });
+
+      it('should put cached images back on keys drawn over', async () => {
+        await sd.fillPageBuffer('', 2, image(7));
+        await sd.fillBuffer(2, image(9));
+        await sd.fillBuffer(4, image(9));
+
+        await sd.restoreKeys([2, 4]);
+        const keys = lastImages();
+        expect(keys.get(2)).to.equal(7);
+        // Nothing cached for key 4, so it's cleared
+        expect(keys.get(4)).to.equal(0xff);
+      });
+    });
+  });
+
+  describe('Device Profiles', () => {
+    it('should default to the V2 profile before connecting', () => {
+        expect(sd.profile.model).to.equal('originalv2');
+        expect(sd.NUM_KEYS).to.equal(15);
+        expect(sd.ICON_SIZE).to.equal(72);
+    });
+
+    it('should describe each supported model', () => {
+        const xl = StreamDeckV2.getProfile(0x006c);
+        expect(xl.numKeys).to.equal(32);
+        expect(xl.iconSize).to.equal(96);
+        expect(xl.imageFormat).to.equal('jpeg');
+
+        const mini = StreamDeckV2.getProfile(0x0063);
+        expect(mini.numKeys).to.equal(6);
+        expect(mini.imageFormat).to.equal('bmp');
+        expect(mini.packetLayout).to.equal('gen1');
+
+        const original = StreamDeckV2.getProfile(0x0060);
+        expect(original.keyDirection).to.equal('rtl');
+        expect(original.packetLayout).to.equal('original');
+
+        expect(StreamDeckV2.getProfile(0x0086).iconSize).to.equal(0); // Pedal
+        expect(StreamDeckV2.getProfile(0x1234)).to.be.null;
+    });
+
+    it('should encode BMP images for BMP models', async function() {
+        if (typeof OffscreenCanvas === 'undefined') {
+            this.skip();
+        }
+        const mini = StreamDeckV2.getProfile(0x0063);
+        const canvas = StreamDeckV2.orientCanvas(new OffscreenCanvas(10, 10), mini);
+        expect(canvas.width).to.equal(80);
+
+        const buffer = await StreamDeckV2.encodeImage(canvas, mini);
+        const view = new DataView(buffer);
+        expect(String.fromCharCode(view.getUint8(0), view.getUint8(1))).to.equal('BM');
+        expect(buffer.byteLength).to.equal(54 + 80 * 80 * 3);
+    });
+  });
+
   describe('Canvas/Image Helpers', () => {
       it('should handle OffscreenCanvas if available', async function() {
           if (typeof OffscreenCanvas === 'undefined') {
@@ -154,3 +328,76 @@ describe('StreamDeckV2 Library', () => {
       });
   });
 });
+
+describe('WriteScheduler', () => {
+  let sent;
+  let scheduler;
+
+  beforeEach(() => {
+    sent = [];
+    scheduler = new WriteScheduler(async (packet) => {
+      sent.push(packet);
+    });
+  });
+
+  it('should keep only the newest waiting image per key', async () => {
+    const first = scheduler.enqueue(0, ['a']);
+    const second = scheduler.enqueue(1, ['b1']);
+    const third = scheduler.enqueue(1, ['b2']);
+    expect(scheduler.depth).to.equal(2);
+    await Promise.all([first, second, third]);
+    expect(sent).to.deep.equal(['a', 'b2']);
+    expect(scheduler.stats.written).to.equal(2);
+    expect(scheduler.stats.superseded).to.equal(1);
+    expect(scheduler.depth).to.equal(0);
+  });
+
+  it('should write state changes before animation frames', async () => {
+    const writes = [
+      scheduler.enqueue(0, ['first']),
+      scheduler.enqueue(1, ['frame'], 'frame'),
+      scheduler.enqueue(2, ['state']),
+      // Still counts as a state change when a frame replaces it
+      scheduler.enqueue(3, ['old state']),
+      scheduler.enqueue(3, ['new frame'], 'frame'),
+    ];
+    await Promise.all(writes);
+    expect(sent).to.deep.equal(['first', 'state', 'new frame', 'frame']);
+  });
+
+  it('should reject the writes that fail and carry on', async () => {
+    scheduler = new WriteScheduler(async (packet) => {
+      if (packet === 'bad') {
+        throw new Error('Device gone');
+      }
+      sent.push(packet);
+    });
+    const bad = scheduler.enqueue(0, ['bad']);
+    const good = scheduler.enqueue(1, ['good']);
+    let error = null;
+    try {
+      await bad;
+    } catch (e) {
+      error = e;
+    }
+    await good;
+    expect(error.message).to.equal('Device gone');
+    expect(sent).to.deep.equal(['good']);
+    expect(scheduler.stats.written).to.equal(1);
+  });
+
+  it('should reject waiting writes when cleared', async () => {
+    const first = scheduler.enqueue(0, ['a']);
+    const waiting = scheduler.enqueue(1, ['b']);
+    scheduler.clear(new Error('Disconnected.'));
+    await first;
+    let error = null;
+    try {
+      await waiting;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Disconnected.');
+    expect(sent).to.deep.equal(['a']);
+  });
+});
@@ -0,0 +1,82 @@
+import { KeyTicker } from '../src/ui/KeyTicker.js';
+import { StreamDeckV2 } from '../src/lib/streamdeckv2.js';
+
+const expect = chai.expect;
+
+describe('KeyTicker', () => {
+    const mini = StreamDeckV2.getProfile(0x0063);
+    const original = StreamDeckV2.getProfile(StreamDeckV2.PRODUCT_ID);
+    let ticker;
+    let tiles;
+    let done;
+
+    beforeEach(() => {
+        tiles = [];
+        done = 0;
+        ticker = new KeyTicker((keyIndex, canvas) => {
+            tiles.push({ keyIndex, width: canvas.width });
+        }, { done: () => done++ });
+    });
+
+    afterEach(() => ticker.stop());
+
+    it('should pick the top or bottom row, left to right', () => {
+        expect(KeyTicker.rowKeys(original, 'bottom')).to.deep.equal([10, 11, 12, 13, 14]);
+        expect(KeyTicker.rowKeys(original, 'top')).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(KeyTicker.rowKeys(mini, 'bottom')).to.deep.equal([3, 4, 5]);
+    });
+
+    it('should do nothing without keys', () => {
+        ticker.configure([], original);
+        ticker.push('model', 'Hello');
+        expect(ticker.active).to.be.false;
+    });
+
+    it('should cover its row only while there is text', () => {
+        ticker.configure([3, 4, 5], mini);
+        expect(ticker.covers(4)).to.be.false;
+        ticker.push('model', 'Hello there');
+        expect(ticker.covers(4)).to.be.true;
+        expect(ticker.covers(0)).to.be.false;
+
+        ticker.clear();
+        expect(ticker.covers(4)).to.be.false;
+        expect(done).to.equal(1);
+    });
+
+    it('should start a new line when the speaker changes', () => {
+        ticker.configure([3, 4, 5], mini);
+        ticker.push('user', 'What time is it');
+        ticker.offset = 50;
+        ticker.push('user', '?');
+        expect(ticker.text).to.equal('What time is it?');
+        expect(ticker.offset).to.equal(50);
+
+        ticker.push('model', 'Noon.');
+        expect(ticker.text).to.equal('Noon.');
+        expect(ticker.offset).to.equal(0);
+    });
+
+    it('should keep only the latest text without jumping', () => {
+        ticker.configure([3, 4, 5], mini);
+        ticker.push('model', 'a'.repeat(KeyTicker.MAX_CHARS));
+        ticker.offset = 1000;
+        ticker.push('model', 'bb');
+        expect(ticker.text).to.have.length(KeyTicker.MAX_CHARS);
+        expect(ticker.text.endsWith('bb')).to.be.true;
+        expect(ticker.offset).to.be.closeTo(1000 - ticker.measure('aa'), 0.001);
+    });
+
+    it('should draw a key-sized tile per key and hand the keys back when done', async () => {
+        ticker.configure([3, 4, 5], mini);
+        ticker.push('model', 'Hi');
+        await ticker.render();
+        expect(tiles.map(tile => tile.keyIndex)).to.deep.equal([3, 4, 5]);
+        expect(tiles[0].width).to.equal(mini.iconSize);
+
+        ticker.offset = ticker.width + ticker.measure('Hi');
+        await ticker.tick();
+        expect(ticker.active).to.be.false;
+        expect(done).to.equal(1);
+    });
+});
@@ -0,0 +1,84 @@
+import { Transcript, formatTimestamp } from '../src/utils/transcript.js';
+
+const expect = chai.expect;
+
+describe('Transcript', () => {
+    let transcript;
+
+    beforeEach(() => {
+        transcript = new Transcript();
+    });
+
+    it('should merge fragments from the same speaker into one timed turn', () => {
+        transcript.append('user', 'Hello ', 1);
+        transcript.append('user', 'there', 2);
+        transcript.append('model', 'Hi!', 3);
+
+        expect(transcript.turns).to.have.length(2);
+        expect(transcript.turns[0]).to.deep.equal({ role: 'user', text: 'Hello there', start: 1, end: 2 });
+        expect(transcript.turns[1].start).to.equal(3);
+    });
+
+    it('should start a new turn after endTurn, even from the same speaker', () => {
+        transcript.append('model', 'One.', 1);
+        transcript.endTurn();
+        transcript.append('model', 'Two.', 5);
+        expect(transcript.turns.map(t => t.text)).to.deep.equal(['One.', 'Two.']);
+    });
+
+    it('should keep a typed turn apart from speech before it', () => {
+        // As the app does: speech streams in, then a typed message ends the spoken turn and its own
+        transcript.append('user', 'Can you hear', 1);
+        transcript.append('user', ' me?', 2);
+        transcript.endTurn();
+        transcript.append('user', 'Typed instead.', 3);
+        transcript.endTurn();
+        transcript.append('user', 'Back to talking.', 4);
+        expect(transcript.turns.map(t => t.text)).to.deep.equal(['Can you hear me?', 'Typed instead.', 'Back to talking.']);
+    });
+
+    it('should export JSON with trimmed text and rounded times', () => {
+        transcript.append('user', ' Hi ', 1.23456);
+        const json = JSON.parse(JSON.stringify(transcript));
+        expect(json.turns[0]).to.deep.equal({ role: 'user', text: 'Hi', start: 1.235, end: 1.235 });
+        expect(json.startedAt).to.match(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('should export Markdown with speakers and timestamps', () => {
+        transcript.append('user', 'Hello', 65);
+        const markdown = transcript.toMarkdown();
+        expect(markdown).to.match(/^# Conversation/);
+        expect(markdown).to.include('**User** _(00:01:05)_');
+        expect(markdown).to.include('\nHello\n');
+    });
+
+    it('should export SRT cues with a minimum duration', () => {
+        transcript.append('user', 'Hello', 1);
+        transcript.append('model', 'Hi there', 4);
+        transcript.append('model', ' friend', 6);
+
+        expect(transcript.toSRT()).to.equal([
+            '1', '00:00:01,000 --> 00:00:02,500', 'User: Hello', '',
+            '2', '00:00:04,000 --> 00:00:06,000', 'Model: Hi there friend', ''
+        ].join('\n'));
+    });
+
+    it('should shift captions by an offset and split long turns', () => {
+        transcript.append('model', 'word '.repeat(40), 0);
+        const cues = transcript.cues(10);
+        expect(cues.length).to.be.greaterThan(1);
+        expect(cues[0].start).to.equal(10);
+        expect(cues.every(cue => cue.text.length <= 84)).to.be.true;
+    });
+
+    it('should export WebVTT with voice tags and escaped text', () => {
+        transcript.append('user', 'Is 1 < 2?', 0);
+        const vtt = transcript.toWebVTT();
+        expect(vtt.startsWith('WEBVTT\n\n')).to.be.true;
+        expect(vtt).to.include('00:00:00.000 --> 00:00:01.500\n<v User>Is 1 &lt; 2?');
+    });
+
+    it('should format timestamps past an hour', () => {
+        expect(formatTimestamp(3723.5, ',')).to.equal('01:02:03,500');
+    });
+});
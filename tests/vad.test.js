@@ -0,0 +1,56 @@
+import { VoiceActivityDetector } from '../src/utils/vad.js';
+
+const expect = chai.expect;
+
+describe('VoiceActivityDetector', () => {
+    const SAMPLE_RATE = 16000;
+    const FRAME = 160; // 10ms
+
+    /** A 200Hz tone: voice-like energy with a low zero-crossing rate. */
+    const tone = (amplitude) => Float32Array.from({ length: FRAME }, (_, i) => amplitude * Math.sin(2 * Math.PI * 200 * i / SAMPLE_RATE));
+    const silence = () => new Float32Array(FRAME);
+    /** Alternating samples: loud but crossing zero every sample, like hiss. */
+    const hiss = () => Float32Array.from({ length: FRAME }, (_, i) => (i % 2 ? 0.2 : -0.2));
+
+    /** Feed frames, returning the transitions reported. */
+    const feed = (vad, makeFrame, count) => {
+        const changes = [];
+        for (let i = 0; i < count; i++) {
+            const change = vad.process(makeFrame());
+            if (change !== null) changes.push(change);
+        }
+        return changes;
+    };
+
+    let vad;
+
+    beforeEach(() => {
+        vad = new VoiceActivityDetector(SAMPLE_RATE, { minSpeechMs: 50, hangoverMs: 200 });
+    });
+
+    it('should start speech only after the onset delay', () => {
+        expect(feed(vad, () => tone(0.3), 4)).to.be.empty;
+        expect(feed(vad, () => tone(0.3), 1)).to.deep.equal([true]);
+        expect(vad.speaking).to.be.true;
+    });
+
+    it('should hold speech through short pauses and end after the hangover', () => {
+        feed(vad, () => tone(0.3), 10);
+        expect(feed(vad, silence, 10)).to.be.empty;
+        feed(vad, () => tone(0.3), 1);
+        expect(feed(vad, silence, 19)).to.be.empty;
+        expect(feed(vad, silence, 1)).to.deep.equal([false]);
+    });
+
+    it('should ignore quiet audio and high zero-crossing noise', () => {
+        expect(feed(vad, () => tone(0.001), 50)).to.be.empty;
+        expect(feed(vad, hiss, 50)).to.be.empty;
+    });
+
+    it('should apply tuned options and ignore invalid ones', () => {
+        vad.configure({ threshold: 0.5, hangoverMs: NaN });
+        expect(vad.options.threshold).to.equal(0.5);
+        expect(vad.options.hangoverMs).to.equal(200);
+        expect(feed(vad, () => tone(0.3), 20)).to.be.empty;
+    });
+});
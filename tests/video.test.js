@@ -0,0 +1,73 @@
+import { VideoManager } from '../src/managers/VideoManager.js';
+
+const expect = chai.expect;
+
+describe('VideoManager', () => {
+    let video;
+
+    /** Pretend a capture is running, with captureFrame stubbed out. */
+    const fakeCapture = () => {
+        video.stream = /** @type {any} */ ({ getTracks: () => [] });
+        video.source = 'screen';
+        video.captureFrame = async () => new ArrayBuffer(8);
+    };
+
+    beforeEach(() => {
+        video = new VideoManager();
+    });
+
+    afterEach(() => video.stop());
+
+    it('should downscale to fit the longest side, never upscale', () => {
+        expect(VideoManager.fitWithin(2560, 1440, 1024)).to.deep.equal({ width: 1024, height: 576 });
+        expect(VideoManager.fitWithin(1080, 1920, 768)).to.deep.equal({ width: 432, height: 768 });
+        expect(VideoManager.fitWithin(640, 480, 1024)).to.deep.equal({ width: 640, height: 480 });
+    });
+
+    it('should ignore invalid options and clamp quality', () => {
+        video.configure({ frameRate: NaN, maxSize: 0, quality: 3 });
+        expect(video.options.frameRate).to.equal(VideoManager.DEFAULTS.frameRate);
+        expect(video.options.maxSize).to.equal(VideoManager.DEFAULTS.maxSize);
+        expect(video.options.quality).to.equal(1);
+    });
+
+    it('should only emit frames while active', async () => {
+        fakeCapture();
+        const frames = [];
+        video.addEventListener('frame', (e) => frames.push(e.detail));
+
+        await video.tick();
+        expect(frames).to.be.empty;
+
+        video.setActive(true);
+        await video.tick();
+        expect(frames).to.have.length(1);
+    });
+
+    it('should keep the capture but send nothing while paused', async () => {
+        fakeCapture();
+        video.setActive(true);
+        let changes = 0;
+        video.addEventListener('change', () => changes++);
+        const frames = [];
+        video.addEventListener('frame', (e) => frames.push(e.detail));
+
+        video.setPaused(true);
+        await video.tick();
+        expect(frames).to.be.empty;
+        expect(video.isCapturing).to.be.true;
+        expect(video.isSharing).to.be.false;
+
+        video.setPaused(false);
+        await video.tick();
+        expect(frames).to.have.length(1);
+        expect(changes).to.equal(2);
+    });
+
+    it('should forget the source when stopped', () => {
+        fakeCapture();
+        video.stop();
+        expect(video.isCapturing).to.be.false;
+        expect(video.source).to.be.null;
+    });
+});